@@ -0,0 +1,75 @@
+const { hashApiKey, readApiKey, hasScope, createApiKeyLookup } = require('../lib/api-keys');
+
+describe('scopes', () => {
+  const key = scopes => ({ id: 'k', scopes });
+
+  test('admin and a missing key grant everything', () => {
+    expect(hasScope(key(['admin']), 'write:shop.test')).toBe(true);
+    expect(hasScope(key(['admin']), 'admin')).toBe(true);
+    expect(hasScope(null, 'admin')).toBe(true);
+  });
+
+  test('write implies read and wildcards cover every domain', () => {
+    expect(hasScope(key(['write:shop.test']), 'read:shop.test')).toBe(true);
+    expect(hasScope(key(['read:*']), 'read:shop.test')).toBe(true);
+    expect(hasScope(key(['write:*']), 'read:shop.test')).toBe(true);
+    expect(hasScope(key(['write:*']), 'write:shop.test')).toBe(true);
+  });
+
+  test('read does not imply write and domains do not leak', () => {
+    expect(hasScope(key(['read:shop.test']), 'write:shop.test')).toBe(false);
+    expect(hasScope(key(['read:*']), 'write:shop.test')).toBe(false);
+    expect(hasScope(key(['write:shop.test']), 'read:other.test')).toBe(false);
+    expect(hasScope(key(['write:*']), 'admin')).toBe(false);
+  });
+
+  test('handles domains with a port', () => {
+    expect(hasScope(key(['write:localhost:8080']), 'read:localhost:8080')).toBe(true);
+    expect(hasScope(key(['write:localhost:8080']), 'read:localhost:9090')).toBe(false);
+  });
+});
+
+describe('reading tokens', () => {
+  test('accepts bearer tokens, X-API-Key and the query fallback', () => {
+    expect(readApiKey({ authorization: 'Bearer  hta_abc ' })).toBe('hta_abc');
+    expect(readApiKey({ 'x-api-key': 'hta_def' })).toBe('hta_def');
+    expect(readApiKey({}, { api_key: 'hta_ghi' })).toBe('hta_ghi');
+    expect(readApiKey({ authorization: 'Basic xyz' })).toBeNull();
+  });
+});
+
+describe('key lookup', () => {
+  const token = 'hta_created';
+  const hash = hashApiKey(token);
+  const keys = {};
+  let adminToken = 'admin-secret';
+  const { findApiKey } = createApiKeyLookup({
+    getAdminToken: () => adminToken,
+    getStoredKey: id => keys[id] || null,
+    adminKey: { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'] }
+  });
+
+  beforeEach(() => {
+    keys[hash.slice(0, 16)] = { id: hash.slice(0, 16), hash, scopes: ['read:*'] };
+    adminToken = 'admin-secret';
+  });
+
+  test('finds the admin key and created keys by their token', () => {
+    expect(findApiKey('admin-secret')).toEqual({ id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'] });
+    expect(findApiKey(token)).toMatchObject({ id: hash.slice(0, 16), scopes: ['read:*'] });
+  });
+
+  test('rejects unknown, revoked and expired keys', () => {
+    expect(findApiKey(null)).toBeNull();
+    expect(findApiKey('hta_unknown')).toBeNull();
+    keys[hash.slice(0, 16)].revoked = true;
+    expect(findApiKey(token)).toBeNull();
+    keys[hash.slice(0, 16)] = { id: hash.slice(0, 16), hash, scopes: ['read:*'], expiresAt: new Date(Date.now() - 1000).toISOString() };
+    expect(findApiKey(token)).toBeNull();
+  });
+
+  test('stops accepting the admin token once it is unset', () => {
+    adminToken = undefined;
+    expect(findApiKey('admin-secret')).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+const { createCacheLifetime } = require('../lib/cache-lifetime');
+
+describe('cache lifetimes', () => {
+  const { getCacheLifetime } = createCacheLifetime({ ttl: 300, staleIfError: 3600 });
+
+  test('uses the defaults without a config or headers', () => {
+    expect(getCacheLifetime(null, null)).toEqual({ ttl: 300, staleWhileRevalidate: 0, staleIfError: 3600 });
+  });
+
+  test('prefers the domain config over the defaults', () => {
+    expect(getCacheLifetime({ ttl: 60, staleWhileRevalidate: 30, staleIfError: 0 }, null))
+      .toEqual({ ttl: 60, staleWhileRevalidate: 30, staleIfError: 0 });
+  });
+
+  test('follows max-age, with s-maxage taking precedence', () => {
+    expect(getCacheLifetime({}, { 'cache-control': 'public, max-age=120' }).ttl).toBe(120);
+    expect(getCacheLifetime({}, { 'cache-control': 'max-age=120, s-maxage="600"' }).ttl).toBe(600);
+  });
+
+  test('derives the ttl from Expires relative to Date', () => {
+    const headers = { date: 'Tue, 10 Mar 2026 10:00:00 GMT', expires: 'Tue, 10 Mar 2026 10:05:00 GMT' };
+    expect(getCacheLifetime({}, headers).ttl).toBe(300);
+    expect(getCacheLifetime({}, { ...headers, expires: '0' }).ttl).toBe(0);
+  });
+
+  test('reads the stale directives', () => {
+    expect(getCacheLifetime({}, { 'cache-control': 'max-age=10, stale-while-revalidate=20, stale-if-error=30' }))
+      .toEqual({ ttl: 10, staleWhileRevalidate: 20, staleIfError: 30 });
+  });
+
+  test('no-cache keeps the entry but makes it stale at once', () => {
+    expect(getCacheLifetime({}, { 'cache-control': 'no-cache, max-age=60' }).ttl).toBe(0);
+  });
+
+  test('must-revalidate disables serving stale responses', () => {
+    expect(getCacheLifetime({ staleWhileRevalidate: 30 }, { 'cache-control': 'max-age=60, must-revalidate' }))
+      .toEqual({ ttl: 60, staleWhileRevalidate: 0, staleIfError: 0 });
+  });
+
+  test('does not store no-store responses, nor private ones in the shared cache', () => {
+    expect(getCacheLifetime({}, { 'cache-control': 'no-store' })).toBeNull();
+    expect(getCacheLifetime({}, { 'cache-control': 'private, max-age=60' }, true)).toBeNull();
+    expect(getCacheLifetime({}, { 'cache-control': 'private, max-age=60' }, false).ttl).toBe(60);
+  });
+
+  test('ignores upstream headers when respectUpstream is false', () => {
+    expect(getCacheLifetime({ respectUpstream: false, ttl: 90 }, { 'cache-control': 'no-store' }))
+      .toEqual({ ttl: 90, staleWhileRevalidate: 0, staleIfError: 3600 });
+  });
+});
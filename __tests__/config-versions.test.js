@@ -0,0 +1,65 @@
+const { toConfigInput, mergePatch, appendConfigVersion, diffConfigVersions } = require('../lib/config-versions');
+
+describe('merge patch', () => {
+  test('merges objects recursively and removes null keys', () => {
+    const target = { baseUrl: 'https://a.test', selectors: { title: 'h1', price: '.price' }, cache: { ttl: 60 } };
+    const patch = { selectors: { price: null, stock: '.stock' }, cache: null, useBrowser: true };
+    expect(mergePatch(target, patch)).toEqual({
+      baseUrl: 'https://a.test',
+      selectors: { title: 'h1', stock: '.stock' },
+      useBrowser: true
+    });
+  });
+
+  test('replaces arrays and scalars instead of merging them', () => {
+    expect(mergePatch({ routes: [1, 2], a: { b: 1 } }, { routes: [3], a: 'x' })).toEqual({ routes: [3], a: 'x' });
+  });
+
+  test('does not modify the target', () => {
+    const target = { selectors: { title: 'h1' } };
+    mergePatch(target, { selectors: { title: null } });
+    expect(target).toEqual({ selectors: { title: 'h1' } });
+  });
+});
+
+describe('config input', () => {
+  test('keeps the configurable fields that are set', () => {
+    const stored = { baseUrl: 'https://a.test', selectors: {}, auth: null, created: 'x', updated: 'y' };
+    expect(toConfigInput('a.test', stored)).toEqual({ domain: 'a.test', baseUrl: 'https://a.test', selectors: {} });
+  });
+});
+
+describe('config history', () => {
+  test('numbers versions after the last one', () => {
+    const first = appendConfigVersion([], { a: 1 }, 'create', undefined, 50);
+    expect(first.entry).toMatchObject({ version: 1, action: 'create', note: null, config: { a: 1 } });
+
+    const second = appendConfigVersion(first.history, { a: 2 }, 'update', 'bump', 50);
+    expect(second.entry).toMatchObject({ version: 2, note: 'bump' });
+    expect(second.history.map(entry => entry.version)).toEqual([1, 2]);
+  });
+
+  test('keeps only the last versions and continues numbering', () => {
+    let history = [];
+    for (let i = 0; i < 5; i++) {
+      history = appendConfigVersion(history, { i }, 'update', null, 3).history;
+    }
+    expect(history.map(entry => entry.version)).toEqual([3, 4, 5]);
+  });
+
+  test('diffs the previous and latest versions by default, ignoring timestamps', () => {
+    const history = [
+      { version: 1, config: { baseUrl: 'https://a.test', created: '1' } },
+      { version: 2, config: { baseUrl: 'https://b.test', created: '1', updated: '2' } },
+      { version: 3, config: null }
+    ];
+    expect(diffConfigVersions(history, undefined, '2')).toEqual({
+      from: 1,
+      to: 2,
+      changes: [{ path: 'baseUrl', type: 'changed', from: 'https://a.test', to: 'https://b.test' }]
+    });
+    expect(diffConfigVersions(history).from).toBe(2);
+    expect(diffConfigVersions(history, '1', '9')).toBeNull();
+    expect(diffConfigVersions(history.slice(0, 1))).toBeNull();
+  });
+});
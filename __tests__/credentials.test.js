@@ -0,0 +1,27 @@
+const { createCredentialCipher } = require('../lib/credentials');
+
+describe('session credentials', () => {
+  const { encryptCredentials, decryptCredentials } = createCredentialCipher(() => 'test-secret');
+  const credentials = { username: 'ada', password: 'correct horse' };
+
+  test('round-trips credentials without storing them in the clear', () => {
+    const token = encryptCredentials(credentials);
+    expect(token).not.toContain('ada');
+    expect(token).not.toContain(Buffer.from('correct horse').toString('base64url'));
+    expect(decryptCredentials(token)).toEqual(credentials);
+  });
+
+  test('uses a fresh iv for every encryption', () => {
+    expect(encryptCredentials(credentials)).not.toBe(encryptCredentials(credentials));
+  });
+
+  test('rejects tampered tokens and tokens of another secret', () => {
+    const token = encryptCredentials(credentials);
+    const [iv, tag, encrypted] = token.split('.');
+    const flipped = Buffer.from(encrypted, 'base64url');
+    flipped[0] ^= 1;
+    expect(() => decryptCredentials(`${iv}.${tag}.${flipped.toString('base64url')}`)).toThrow();
+    expect(() => createCredentialCipher(() => 'other-secret').decryptCredentials(token)).toThrow();
+    expect(() => decryptCredentials('not-a-token')).toThrow('Invalid encrypted credentials');
+  });
+});
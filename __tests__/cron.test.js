@@ -0,0 +1,55 @@
+const { CRON_FIELDS, parseCronField, nextCronRun } = require('../lib/cron');
+
+describe('cron expressions', () => {
+  const [minute, hour, , month, weekday] = CRON_FIELDS;
+  const values = set => Array.from(set).sort((a, b) => a - b);
+  const at = iso => Date.parse(iso);
+  const next = (expression, after) => new Date(nextCronRun(expression, at(after))).toISOString();
+
+  test('parses wildcards, ranges, steps and lists', () => {
+    expect(values(parseCronField('*/15', minute))).toEqual([0, 15, 30, 45]);
+    expect(values(parseCronField('1-3,10', hour))).toEqual([1, 2, 3, 10]);
+    expect(values(parseCronField('10-50/20', minute))).toEqual([10, 30, 50]);
+    expect(values(parseCronField('5/20', minute))).toEqual([5, 25, 45]);
+  });
+
+  test('parses month and weekday names, with 7 as Sunday', () => {
+    expect(values(parseCronField('jan,Dec', month))).toEqual([1, 12]);
+    expect(values(parseCronField('mon-fri', weekday))).toEqual([1, 2, 3, 4, 5]);
+    expect(values(parseCronField('7', weekday))).toEqual([0]);
+  });
+
+  test('rejects out-of-range and malformed fields', () => {
+    expect(() => parseCronField('60', minute)).toThrow('Invalid minute "60" (allowed 0-59)');
+    expect(() => parseCronField('5-1', hour)).toThrow('Invalid hour');
+    expect(() => parseCronField('*/0', minute)).toThrow('Invalid minute');
+    expect(() => parseCronField('foo', month)).toThrow('Invalid month "foo"');
+  });
+
+  test('finds the next matching minute after the given time', () => {
+    expect(next('*/15 * * * *', '2026-03-10T10:07:30Z')).toBe('2026-03-10T10:15:00.000Z');
+    expect(next('*/15 * * * *', '2026-03-10T10:15:00Z')).toBe('2026-03-10T10:30:00.000Z');
+    expect(next('30 2 * * *', '2026-03-10T10:07:00Z')).toBe('2026-03-11T02:30:00.000Z');
+  });
+
+  test('rolls over months and years and expands macros', () => {
+    expect(next('@monthly', '2026-01-31T12:00:00Z')).toBe('2026-02-01T00:00:00.000Z');
+    expect(next('@yearly', '2026-06-01T00:00:00Z')).toBe('2027-01-01T00:00:00.000Z');
+    expect(next('0 0 29 feb *', '2026-01-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  test('matches either day of month or weekday when both are restricted', () => {
+    // 2026-03-10 is a Tuesday: the next Friday (13th) comes before the 15th
+    expect(next('0 9 15 * fri', '2026-03-10T12:00:00Z')).toBe('2026-03-13T09:00:00.000Z');
+    expect(next('0 9 * * fri', '2026-03-10T12:00:00Z')).toBe('2026-03-13T09:00:00.000Z');
+    expect(next('0 9 15 * *', '2026-03-10T12:00:00Z')).toBe('2026-03-15T09:00:00.000Z');
+  });
+
+  test('returns null for dates that never occur', () => {
+    expect(nextCronRun('0 0 31 feb *', at('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+
+  test('rejects expressions without five fields', () => {
+    expect(() => nextCronRun('* * *', Date.now())).toThrow('Cron expressions have 5 fields');
+  });
+});
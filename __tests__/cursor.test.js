@@ -0,0 +1,47 @@
+const { createCursorCodec } = require('../lib/cursor');
+
+describe('pagination cursors', () => {
+  const { encodeCursor, decodeCursor } = createCursorCodec(() => 'test-secret');
+
+  const expectInvalid = fn => {
+    expect(fn).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_CURSOR' }));
+  };
+
+  test('round-trips a cursor of the same endpoint', () => {
+    const token = encodeCursor({ domain: 'example.com', path: 'products', page: 2 });
+    expect(decodeCursor(token, 'example.com', 'products')).toEqual({ domain: 'example.com', path: 'products', page: 2 });
+  });
+
+  test('rejects malformed tokens', () => {
+    expectInvalid(() => decodeCursor('bad.sig', 'example.com', 'products'));
+    expectInvalid(() => decodeCursor('nodot', 'example.com', 'products'));
+    expectInvalid(() => decodeCursor('', 'example.com', 'products'));
+  });
+
+  test('rejects a tampered payload', () => {
+    const [, signature] = encodeCursor({ domain: 'example.com', path: 'products', page: 2 }).split('.');
+    const forged = Buffer.from(JSON.stringify({ domain: 'example.com', path: 'products', page: 2, url: 'http://169.254.169.254/' })).toString('base64url');
+    expectInvalid(() => decodeCursor(`${forged}.${signature}`, 'example.com', 'products'));
+  });
+
+  test('rejects a tampered signature', () => {
+    const token = encodeCursor({ domain: 'example.com', path: 'products', page: 2 });
+    const last = token.slice(-1);
+    expectInvalid(() => decodeCursor(`${token.slice(0, -1)}${last === 'A' ? 'B' : 'A'}`, 'example.com', 'products'));
+  });
+
+  test('rejects cursors signed with another secret', () => {
+    const other = createCursorCodec(() => 'other-secret');
+    expectInvalid(() => decodeCursor(other.encodeCursor({ domain: 'example.com', path: 'products', page: 2 }), 'example.com', 'products'));
+  });
+
+  test('rejects cursors of another endpoint', () => {
+    const token = encodeCursor({ domain: 'example.com', path: 'products', page: 2 });
+    expectInvalid(() => decodeCursor(token, 'other.com', 'products'));
+    expectInvalid(() => decodeCursor(token, 'example.com', 'orders'));
+  });
+
+  test('rejects signed payloads without an integer page', () => {
+    expectInvalid(() => decodeCursor(encodeCursor({ domain: 'example.com', path: 'products', page: '2' }), 'example.com', 'products'));
+  });
+});
@@ -0,0 +1,63 @@
+const { diffValues, pickWatchedFields, diffWatchedData } = require('../lib/diff');
+
+describe('value diffs', () => {
+  test('lists added, removed and changed paths', () => {
+    expect(diffValues({ a: 1, b: { c: [1, 2] }, d: 1 }, { a: 2, b: { c: [1, 3] }, e: 1 })).toEqual([
+      { path: 'a', type: 'changed', from: 1, to: 2 },
+      { path: 'b.c[1]', type: 'changed', from: 2, to: 3 },
+      { path: 'd', type: 'removed', from: 1 },
+      { path: 'e', type: 'added', to: 1 }
+    ]);
+  });
+
+  test('reports nothing for equal values', () => {
+    expect(diffValues({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toEqual([]);
+  });
+});
+
+describe('watch diffs', () => {
+  test('picks the watched fields, dropping forms by default', () => {
+    expect(pickWatchedFields({ title: 'x', price: 1, forms: [] })).toEqual({ title: 'x', price: 1 });
+    expect(pickWatchedFields({ title: 'x', price: 1 }, ['price', 'stock'])).toEqual({ price: 1, stock: null });
+  });
+
+  test('returns null when nothing changed', () => {
+    expect(diffWatchedData({ items: [1, 2], title: 'x' }, { items: [1, 2], title: 'x' })).toBeNull();
+  });
+
+  test('reports changed scalar fields', () => {
+    expect(diffWatchedData({ title: 'x' }, { title: 'y', price: 1 })).toEqual({
+      fields: { title: { from: 'x', to: 'y' }, price: { from: null, to: 1 } },
+      summary: { added: 0, removed: 0, changed: 2 }
+    });
+  });
+
+  test('matches array items by key field', () => {
+    const from = { items: [{ id: 1, price: 10 }, { id: 2, price: 20 }] };
+    const to = { items: [{ id: 2, price: 25 }, { id: 3, price: 30 }] };
+    expect(diffWatchedData(from, to, 'id')).toEqual({
+      fields: {
+        items: {
+          added: [{ id: 3, price: 30 }],
+          removed: [{ id: 1, price: 10 }],
+          changed: [{
+            key: 2,
+            from: { id: 2, price: 20 },
+            to: { id: 2, price: 25 },
+            changes: [{ path: 'price', type: 'changed', from: 20, to: 25 }]
+          }]
+        }
+      },
+      summary: { added: 1, removed: 1, changed: 1 }
+    });
+  });
+
+  test('takes the key field per field, and compares whole items without one', () => {
+    const from = { items: [{ id: 1, price: 10 }], tags: ['a', 'b'] };
+    const to = { items: [{ id: 1, price: 11 }], tags: ['b', 'c'] };
+    const diff = diffWatchedData(from, to, { items: 'id' });
+    expect(diff.fields.items.changed).toHaveLength(1);
+    expect(diff.fields.tags).toEqual({ added: ['c'], removed: ['a'], changed: [] });
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1 });
+  });
+});
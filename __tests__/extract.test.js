@@ -0,0 +1,245 @@
+const cheerio = require('cheerio');
+const { parseNumber, applyTransforms, extractData } = require('../lib/extract');
+
+describe('transforms', () => {
+  const config = { baseUrl: 'https://shop.example.com/catalog' };
+
+  test('parses human formatted numbers', () => {
+    expect(parseNumber('1,234.50')).toBe(1234.5);
+    expect(parseNumber('1.234,50')).toBe(1234.5);
+    expect(parseNumber('12,5')).toBe(12.5);
+    expect(parseNumber('1,234')).toBe(1234);
+    expect(parseNumber('-12 items')).toBe(-12);
+    expect(parseNumber('n/a')).toBeNull();
+  });
+
+  test('treats dots as thousands separators when they cannot be decimal points', () => {
+    expect(parseNumber('1.234.567')).toBe(1234567);
+    expect(parseNumber('€ 1.234.567,89')).toBe(1234567.89);
+    expect(parseNumber('1.234')).toBe(1234);
+    expect(parseNumber('-12.500 pts')).toBe(-12500);
+    expect(parseNumber('0.125')).toBe(0.125);
+    expect(parseNumber('1.5')).toBe(1.5);
+    expect(parseNumber('12.3456')).toBe(12.3456);
+  });
+
+  test('chains transforms in order', () => {
+    expect(applyTransforms('  Hello   World ', ['collapseWhitespace', 'uppercase'], config)).toBe('HELLO WORLD');
+    expect(applyTransforms('SKU: ab-12', [{ type: 'regex', pattern: 'sku: (\\w+-\\d+)', flags: 'i' }, 'uppercase'], config)).toBe('AB-12');
+    expect(applyTransforms('no match', { type: 'regex', pattern: '\\d+' }, config)).toBeNull();
+    expect(applyTransforms('Order 42', { type: 'regex', pattern: '\\d+', group: 0 }, config)).toBe('42');
+  });
+
+  test('reads currencies from codes and symbols', () => {
+    expect(applyTransforms('€ 1.299,00', 'currency', config)).toEqual({ amount: 1299, currency: 'EUR' });
+    expect(applyTransforms('12.50 USD', 'currency', config)).toEqual({ amount: 12.5, currency: 'USD' });
+    expect(applyTransforms('12.50', 'currency', config)).toEqual({ amount: 12.5, currency: null });
+  });
+
+  test('normalizes dates and resolves URLs against the base URL', () => {
+    expect(applyTransforms('2026-03-10T12:00:00Z', 'date', config)).toBe('2026-03-10T12:00:00.000Z');
+    expect(applyTransforms('not a date', 'date', config)).toBeNull();
+    expect(applyTransforms('/item/1', 'absoluteUrl', config)).toBe('https://shop.example.com/item/1');
+    expect(applyTransforms('item/1', 'absoluteUrl', config)).toBe('https://shop.example.com/catalog/item/1');
+  });
+
+  test('passes null values through', () => {
+    expect(applyTransforms(null, ['trim', 'number'], config)).toBeNull();
+  });
+});
+
+describe('field specs', () => {
+  const html = `
+    <h1> Widget </h1>
+    <a class="link" href="/widget">Details</a>
+    <div class="desc"><b>Bold</b> text</div>
+    <span class="price">$1,299.00</span>
+    <ul><li>red</li><li>blue</li><li></li></ul>
+    <form id="search" action="/search"><input name="q" type="text" value="x"></form>`;
+  const extract = (selectors, meta) => extractData(cheerio.load(html), { baseUrl: 'https://example.com', selectors }, meta);
+
+  test('extracts text, attributes and inner HTML', () => {
+    const data = extract({
+      title: 'h1',
+      href: { selector: '.link', attr: 'href', transforms: ['absoluteUrl'] },
+      description: { selector: '.desc', html: true },
+      price: { selector: '.price', transforms: ['number'] }
+    });
+    expect(data).toMatchObject({
+      title: 'Widget',
+      href: 'https://example.com/widget',
+      description: '<b>Bold</b> text',
+      price: 1299
+    });
+  });
+
+  test('collects multiple values without empty ones', () => {
+    expect(extract({ colors: { selector: 'li', multiple: true, transforms: ['uppercase'] } }).colors).toEqual(['RED', 'BLUE']);
+  });
+
+  test('falls back to defaults and keeps empty text selectors as ""', () => {
+    const data = extract({ missing: '.nothing', stock: { selector: '.stock', default: 0 }, sku: { selector: '.sku', attr: 'data-sku' } });
+    expect(data).toMatchObject({ missing: '', stock: 0, sku: null });
+  });
+
+  test('fails on a missing required field', () => {
+    expect(() => extract({ sku: { selector: '.sku', required: true } })).toThrow(expect.objectContaining({
+      statusCode: 502,
+      code: 'REQUIRED_FIELD_MISSING',
+      field: 'sku'
+    }));
+  });
+
+  test('lists the forms of the page', () => {
+    expect(extract({}).forms).toEqual([{
+      id: 'search',
+      name: undefined,
+      action: '/search',
+      method: 'GET',
+      enctype: 'application/x-www-form-urlencoded',
+      inputs: [{ name: 'q', type: 'text', value: 'x', placeholder: undefined }]
+    }]);
+  });
+});
+
+describe('nested schemas', () => {
+  const html = `
+    <div class="category"><h2>Tools</h2>
+      <div class="product"><span class="name">Hammer</span><span class="tag">steel</span><span class="tag">heavy</span></div>
+      <div class="product"><span class="name">Saw</span></div>
+    </div>
+    <div class="category"><h2>Paint</h2></div>
+    <div class="shop"><span class="owner">Ann</span><span class="city">Oslo</span></div>`;
+  const extract = selectors => extractData(cheerio.load(html), { baseUrl: 'https://example.com', selectors });
+
+  test('extracts arrays of objects with nested arrays', () => {
+    const { categories } = extract({
+      categories: {
+        type: 'array',
+        selector: '.category',
+        fields: {
+          name: 'h2',
+          products: {
+            type: 'array',
+            selector: '.product',
+            fields: { name: '.name', tags: { type: 'array', selector: '.tag' } }
+          }
+        }
+      }
+    });
+    expect(categories).toEqual([
+      {
+        name: 'Tools',
+        products: [
+          { name: 'Hammer', tags: [{ text: 'steel' }, { text: 'heavy' }] },
+          { name: 'Saw', tags: [] }
+        ]
+      },
+      { name: 'Paint', products: [] }
+    ]);
+  });
+
+  test('scopes object fields to their selector', () => {
+    expect(extract({ shop: { type: 'object', selector: '.shop', fields: { owner: '.owner', city: '.city' } } }).shop)
+      .toEqual({ owner: 'Ann', city: 'Oslo' });
+  });
+
+  test('reports required fields of array items by their path', () => {
+    const selectors = {
+      products: { type: 'array', selector: '.product', fields: { tag: { selector: '.tag', required: true } } }
+    };
+    expect(() => extract(selectors)).toThrow(expect.objectContaining({
+      message: 'Required field "products[1].tag" was not found',
+      field: 'products.tag'
+    }));
+  });
+});
+
+describe('table extraction', () => {
+  const extract = (html, spec) => extractData(cheerio.load(html), { baseUrl: 'https://example.com', selectors: { rows: { type: 'table', ...spec } } }).rows;
+
+  test('keys rows by the normalized thead headers', () => {
+    const html = `<table class="rates">
+      <thead><tr><th>Product Name</th><th>Unit Price ($)</th><th>Notes</th></tr></thead>
+      <tbody><tr><td>Bolt</td><td>0.10</td><td>bulk</td></tr><tr><td></td><td></td><td></td></tr><tr><td>Nut</td><td>0.05</td></tr></tbody>
+    </table>`;
+    expect(extract(html, { selector: 'table.rates', rename: { unit_price: 'price' }, skip: ['Notes'] })).toEqual([
+      { product_name: 'Bolt', price: '0.10' },
+      { product_name: 'Nut', price: '0.05' }
+    ]);
+  });
+
+  test('reads a first row of th cells as the header', () => {
+    const html = '<table><tr><th>A</th><th>A</th></tr><tr><td>1</td><td>2</td></tr></table>';
+    expect(extract(html, { selector: 'table' })).toEqual([{ a: '1', a_2: '2' }]);
+  });
+
+  test('expands colspan and rowspan and joins multi-row headers', () => {
+    const html = `<table>
+      <thead><tr><th rowspan="2">Item</th><th colspan="2">Price</th></tr><tr><th>Net</th><th>Gross</th></tr></thead>
+      <tbody><tr><td rowspan="2">Bolt</td><td>1</td><td>1.2</td></tr><tr><td colspan="2">n/a</td></tr></tbody>
+    </table>`;
+    expect(extract(html, { selector: 'table' })).toEqual([
+      { item: 'Bolt', price_net: '1', price_gross: '1.2' },
+      { item: 'Bolt', price_net: 'n/a', price_gross: 'n/a' }
+    ]);
+  });
+
+  test('numbers the columns of tables without headers', () => {
+    expect(extract('<table><tr><td>x</td><td>y</td></tr></table>', { selector: 'table' })).toEqual([{ column_1: 'x', column_2: 'y' }]);
+  });
+
+  test('returns an empty array when the table is missing', () => {
+    expect(extract('<p>none</p>', { selector: 'table' })).toEqual([]);
+  });
+});
+
+describe('selector fallbacks', () => {
+  const html = `
+    <body class="layout-v2">
+      <h1>Old title</h1><div class="hero"><h1>New title</h1></div>
+      <span class="price">12.50</span>
+      <div class="item"><span class="label">A</span></div><div class="item"><span class="name">B</span></div>
+    </body>`;
+  const extract = config => {
+    const meta = { version: null, selectors: {} };
+    const data = extractData(cheerio.load(html), { baseUrl: 'https://example.com', ...config }, meta);
+    return { data, meta };
+  };
+
+  test('uses the first alternative that matches and records which one', () => {
+    const { data, meta } = extract({
+      selectors: {
+        title: ['h1.product-title', '.hero h1'],
+        price: { selector: ['.price-now', '.price'], transforms: ['number'] },
+        sku: ['.sku', '.code'],
+        plain: '.price'
+      }
+    });
+    expect(data).toMatchObject({ title: 'New title', price: 12.5, sku: '' });
+    expect(meta.selectors).toEqual({
+      title: { index: 1, selector: '.hero h1' },
+      price: { index: 1, selector: '.price' },
+      sku: { index: -1, selector: null }
+    });
+  });
+
+  test('reports array fields once per path, preferring an item that matched', () => {
+    const { data, meta } = extract({
+      selectors: { items: { type: 'array', selector: '.item', fields: { name: ['.name', '.title'] } } }
+    });
+    expect(data.items).toEqual([{ name: '' }, { name: 'B' }]);
+    expect(meta.selectors).toEqual({ 'items.name': { index: 0, selector: '.name' } });
+  });
+
+  test('picks the first selector version whose marker matches', () => {
+    const selectorVersions = [
+      { name: 'v3', marker: 'body.layout-v3', selectors: { title: 'h2' } },
+      { name: 'v2', marker: 'body.layout-v2', selectors: { title: '.hero h1' } }
+    ];
+    const { data, meta } = extract({ selectors: { title: 'h1' }, selectorVersions });
+    expect(meta.version).toBe('v2');
+    expect(data.title).toBe('New title');
+    expect(extract({ selectors: { title: 'h1' }, selectorVersions: selectorVersions.slice(0, 1) }).meta.version).toBe('default');
+  });
+});
@@ -0,0 +1,59 @@
+const cheerio = require('cheerio');
+const { selectForm, formSpecToStep, collectFormDefaults } = require('../lib/forms');
+
+const html = `
+  <form id="search" action="/search"><input name="q" value="shoes"></form>
+  <form name="order" class="checkout" action="/order" method="post">
+    <input type="hidden" name="token" value="abc">
+    <input name="qty">
+    <input name="coupon" value="X" disabled>
+    <input type="checkbox" name="gift" checked>
+    <input type="checkbox" name="wrap" value="yes">
+    <input type="radio" name="ship" value="fast">
+    <input type="radio" name="ship" value="slow" checked>
+    <select name="size"><option value="s">S</option><option value="m" selected>M</option></select>
+    <select name="color"><option>Red</option><option>Blue</option></select>
+    <textarea name="notes">Leave at door</textarea>
+    <input type="file" name="receipt">
+    <input type="button" name="preview" value="Preview">
+    <input type="submit" name="place" value="Place order">
+    <input type="submit" name="save" value="Save for later">
+  </form>
+`;
+
+describe('form selection', () => {
+  const $ = cheerio.load(html);
+
+  test('selects forms by id, name, selector and index', () => {
+    expect(selectForm($, { id: 'search' }).attr('action')).toBe('/search');
+    expect(selectForm($, { name: 'order' }).attr('action')).toBe('/order');
+    expect(selectForm($, { selector: '.checkout' }).attr('action')).toBe('/order');
+    expect(selectForm($, { index: 1 }).attr('action')).toBe('/order');
+    expect(selectForm($, {}).attr('action')).toBe('/search');
+    expect(selectForm($, { id: 'missing' }).length).toBe(0);
+  });
+
+  test('turns a form spec into a browser step target', () => {
+    expect(formSpecToStep({ id: 'search' })).toEqual({ selector: 'form[id="search"]' });
+    expect(formSpecToStep({ name: 'order' })).toEqual({ selector: 'form[name="order"]' });
+    expect(formSpecToStep({ selector: '.checkout' })).toEqual({ selector: '.checkout' });
+    expect(formSpecToStep({ index: 2 })).toEqual({ selector: 'form', index: 2 });
+    expect(formSpecToStep(null)).toEqual({ selector: 'form', index: 0 });
+  });
+});
+
+describe('form defaults', () => {
+  test('collects what a browser would submit without user input', () => {
+    const $ = cheerio.load(html);
+    expect(collectFormDefaults($, selectForm($, { name: 'order' }))).toEqual({
+      token: 'abc',
+      qty: '',
+      gift: 'on',
+      ship: 'slow',
+      size: 'm',
+      color: 'Red',
+      notes: 'Leave at door',
+      place: 'Place order'
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { parseJsonPath, evaluateJsonPath } = require('../lib/json-path');
+
+describe('JSON paths', () => {
+  const payload = {
+    data: {
+      items: [{ name: 'a', price: 1 }, { name: 'b', price: 2 }],
+      'odd key': true
+    }
+  };
+
+  test('splits paths into keys, indexes and wildcards', () => {
+    expect(parseJsonPath('$')).toEqual([]);
+    expect(parseJsonPath('$.data.items[0].name')).toEqual(['data', 'items', 0, 'name']);
+    expect(parseJsonPath('$.data.items[*].name')).toEqual(['data', 'items', '*', 'name']);
+    expect(parseJsonPath('$.data.*')).toEqual(['data', '*']);
+    expect(parseJsonPath("$['odd key'][\"x\"]")).toEqual(['odd key', 'x']);
+  });
+
+  test('rejects paths that do not start with $ or do not parse', () => {
+    expect(() => parseJsonPath('data.items')).toThrow('must start with $');
+    expect(() => parseJsonPath('$.data[')).toThrow('Invalid JSON path');
+    expect(() => parseJsonPath('$data')).toThrow('Invalid JSON path');
+  });
+
+  test('returns the single match, or null when there is none', () => {
+    expect(evaluateJsonPath(payload, '$.data.items[1].price')).toBe(2);
+    expect(evaluateJsonPath(payload, "$.data['odd key']")).toBe(true);
+    expect(evaluateJsonPath(payload, '$.data.missing.name')).toBeNull();
+    expect(evaluateJsonPath(payload, '$')).toBe(payload);
+  });
+
+  test('returns every match of a wildcard path', () => {
+    expect(evaluateJsonPath(payload, '$.data.items[*].name')).toEqual(['a', 'b']);
+    expect(evaluateJsonPath({ a: { x: 1 }, b: { x: 2 } }, '$.*.x')).toEqual([1, 2]);
+    expect(evaluateJsonPath(payload, '$.data.items[*].stock')).toEqual([]);
+  });
+});
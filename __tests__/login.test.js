@@ -0,0 +1,64 @@
+const cheerio = require('cheerio');
+const { detectLoginFields, isLoginSuccessful, isSessionExpired } = require('../lib/login');
+
+describe('login field detection', () => {
+  test('prefers user-like names and the password input', () => {
+    const $ = cheerio.load(`<form>
+      <input name="search">
+      <input type="email" name="account_email">
+      <input type="password" name="pw">
+    </form>`);
+    expect(detectLoginFields($, $('form'), {})).toEqual({ usernameField: 'account_email', passwordField: 'pw' });
+  });
+
+  test('falls back to the first text input, then to the default names', () => {
+    const $ = cheerio.load('<form id="a"><input name="handle"><input type="hidden" name="csrf"></form><form id="b"></form>');
+    expect(detectLoginFields($, $('#a'), {})).toEqual({ usernameField: 'handle', passwordField: 'password' });
+    expect(detectLoginFields($, $('#b'), {})).toEqual({ usernameField: 'username', passwordField: 'password' });
+  });
+
+  test('uses the configured field names', () => {
+    const $ = cheerio.load('<form><input name="email"><input type="password" name="pw"></form>');
+    expect(detectLoginFields($, $('form'), { usernameField: 'login', passwordField: 'secret' }))
+      .toEqual({ usernameField: 'login', passwordField: 'secret' });
+  });
+});
+
+describe('login success', () => {
+  const welcome = cheerio.load('<div class="welcome">Hi</div>');
+  const loginForm = cheerio.load('<form><input type="password" name="password"></form>');
+  const failed = cheerio.load('<div class="welcome"></div><p class="error">Wrong password</p>');
+
+  test('treats the login form reappearing as a rejection by default', () => {
+    expect(isLoginSuccessful(welcome, 'https://a.test/home', {})).toBe(true);
+    expect(isLoginSuccessful(loginForm, 'https://a.test/login', {})).toBe(false);
+  });
+
+  test('applies the configured success and failure checks', () => {
+    expect(isLoginSuccessful(welcome, 'https://a.test/home', { successSelector: '.welcome' })).toBe(true);
+    expect(isLoginSuccessful(loginForm, 'https://a.test/home', { successSelector: '.welcome' })).toBe(false);
+    expect(isLoginSuccessful(failed, 'https://a.test/home', { successSelector: '.welcome', failureSelector: '.error' })).toBe(false);
+    expect(isLoginSuccessful(loginForm, 'https://a.test/account', { successUrl: '/account$' })).toBe(true);
+    expect(isLoginSuccessful(welcome, 'https://a.test/login', { successUrl: '/account$' })).toBe(false);
+  });
+});
+
+describe('session expiry', () => {
+  const config = { baseUrl: 'https://a.test', auth: { loginPath: 'login', expiredSelector: '.session-expired' } };
+  const page = cheerio.load('<p>Orders</p>');
+
+  test('detects a redirect to the login page', () => {
+    expect(isSessionExpired(page, 'https://a.test/login?next=/orders', 'https://a.test/orders', config)).toBe(true);
+    expect(isSessionExpired(page, 'https://a.test/orders', 'https://a.test/orders', config)).toBe(false);
+    expect(isSessionExpired(page, 'https://a.test/orders/1', 'https://a.test/orders', config)).toBe(false);
+    expect(isSessionExpired(page, undefined, 'https://a.test/orders', config)).toBe(false);
+  });
+
+  test('does not flag requests for the login page itself', () => {
+    expect(isSessionExpired(page, 'https://a.test/login', 'https://a.test/login?x=1', config)).toBe(false);
+  });
+
+  test('detects the configured expiry marker', () => {
+    expect(isSessionExpired(cheerio.load('<div class="session-expired"></div>'), null, 'https://a.test/orders', config)).toBe(true);
+  });
+});
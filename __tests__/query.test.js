@@ -0,0 +1,52 @@
+const { serializeQuery, mapQuery } = require('../lib/query');
+
+describe('query serialization', () => {
+  test('sorts keys and repeats array values', () => {
+    expect(serializeQuery({ b: '2', a: ['x', 'y'], c: 3 })).toBe('a=x&a=y&b=2&c=3');
+    expect(serializeQuery({})).toBe('');
+  });
+});
+
+describe('query mapping', () => {
+  test('forwards plain and repeated values without rules', () => {
+    expect(mapQuery({ q: 'shoes', tag: ['a', 'b'], filter: { nested: 'x' } })).toEqual({ q: 'shoes', tag: ['a', 'b'] });
+  });
+
+  test('forwards nothing when forwarding is off', () => {
+    expect(mapQuery({ q: 'shoes' }, { forward: false })).toEqual({});
+  });
+
+  test('keeps allowed and declared parameters only', () => {
+    const rules = { allow: ['q'], params: { page: { type: 'integer' } } };
+    expect(mapQuery({ q: 'shoes', page: '2', debug: '1' }, rules)).toEqual({ q: 'shoes', page: 2 });
+  });
+
+  test('fills defaults and renames for the upstream', () => {
+    const rules = { defaults: { limit: '20' }, rename: { q: 'search', limit: 'per_page' } };
+    expect(mapQuery({ q: 'shoes' }, rules)).toEqual({ search: 'shoes', per_page: '20' });
+    expect(mapQuery({ q: 'shoes', limit: '50' }, rules)).toEqual({ search: 'shoes', per_page: '50' });
+  });
+
+  test('validates declared parameters', () => {
+    const rules = {
+      params: {
+        page: { type: 'integer', min: 1, max: 50 },
+        sort: { enum: ['price', 'name'] },
+        code: { pattern: '^[A-Z]{3}$' },
+        q: { required: true, min: 2 },
+        inStock: { type: 'boolean' }
+      }
+    };
+    expect(mapQuery({ q: 'ab', page: '3', sort: 'price', code: 'EUR', inStock: 'true' }, rules))
+      .toEqual({ q: 'ab', page: 3, sort: 'price', code: 'EUR', inStock: true });
+
+    const invalid = query => () => mapQuery(query, rules);
+    const rejected = expect.objectContaining({ statusCode: 400, message: expect.stringMatching(/^Invalid query parameter: /) });
+    expect(invalid({ page: '2' })).toThrow(rejected);
+    expect(invalid({ q: 'ab', page: '0' })).toThrow(rejected);
+    expect(invalid({ q: 'ab', page: '1.5' })).toThrow(rejected);
+    expect(invalid({ q: 'ab', sort: 'date' })).toThrow(rejected);
+    expect(invalid({ q: 'ab', code: 'eur' })).toThrow(rejected);
+    expect(invalid({ q: 'a' })).toThrow(rejected);
+  });
+});
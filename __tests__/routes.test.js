@@ -0,0 +1,65 @@
+const { matchRoutePath, resolveRoute } = require('../lib/routes');
+
+describe('route patterns', () => {
+  test('matches literal segments and captures parameters', () => {
+    expect(matchRoutePath('products/:id', 'products/42')).toEqual({ id: '42' });
+    expect(matchRoutePath('/shops/:shop/items/:item/', 'shops/a/items/b')).toEqual({ shop: 'a', item: 'b' });
+    expect(matchRoutePath('products', '/products/')).toEqual({});
+  });
+
+  test('rejects other literals and segment counts', () => {
+    expect(matchRoutePath('products/:id', 'orders/42')).toBeNull();
+    expect(matchRoutePath('products/:id', 'products')).toBeNull();
+    expect(matchRoutePath('products/:id', 'products/42/reviews')).toBeNull();
+  });
+
+  test('keeps already decoded parameters as they are', () => {
+    expect(matchRoutePath('search/:term', 'search/50% off')).toEqual({ term: '50% off' });
+  });
+});
+
+describe('route resolution', () => {
+  const config = {
+    baseUrl: 'https://example.com',
+    selectors: { title: 'h1' },
+    useBrowser: false,
+    cache: { ttl: 60, staleIfError: 600 },
+    routes: [
+      { name: 'product', path: 'products/:id', upstream: 'item.php?id={id}', selectors: { name: '.name' }, cache: { ttl: 5 } },
+      { path: 'search/:term', upstream: 'find/{term}', useBrowser: true },
+      { method: 'POST', path: 'cart', upstream: 'cart.php' }
+    ]
+  };
+
+  test('builds the upstream path and the config the route runs with', () => {
+    const match = resolveRoute(config, 'GET', 'products/42');
+    expect(match.params).toEqual({ id: '42' });
+    expect(match.upstreamPath).toBe('item.php?id=42');
+    expect(match.config).toMatchObject({
+      baseUrl: 'https://example.com',
+      selectors: { name: '.name' },
+      useBrowser: false,
+      cache: { ttl: 5, staleIfError: 600 },
+      route: 'product'
+    });
+  });
+
+  test('encodes parameters into the upstream path and inherits the domain settings', () => {
+    const match = resolveRoute(config, 'GET', 'search/a/b');
+    expect(match).toBeNull();
+    const encoded = resolveRoute(config, 'GET', 'search/50% off');
+    expect(encoded.upstreamPath).toBe('find/50%25%20off');
+    expect(encoded.config).toMatchObject({ selectors: { title: 'h1' }, useBrowser: true, route: 'search/:term' });
+  });
+
+  test('matches the route method', () => {
+    expect(resolveRoute(config, 'GET', 'cart')).toBeNull();
+    expect(resolveRoute(config, 'POST', 'cart').upstreamPath).toBe('cart.php');
+    expect(resolveRoute({ baseUrl: 'https://example.com' }, 'GET', 'products/1')).toBeNull();
+  });
+
+  test('rejects upstream templates with undefined parameters', () => {
+    const broken = { routes: [{ path: 'a/:id', upstream: 'b/{slug}' }] };
+    expect(() => resolveRoute(broken, 'GET', 'a/1')).toThrow('Route parameter "slug" is not defined');
+  });
+});
@@ -0,0 +1,141 @@
+const {
+  findTemplateSteps,
+  renderTemplate,
+  toWorkflowPath,
+  prepareWorkflowSteps,
+  resolveWorkflowInput,
+  createWorkflowRunner
+} = require('../lib/workflow');
+
+describe('templates', () => {
+  const context = {
+    input: { sku: 'A1', qty: 2 },
+    steps: { search: { data: { items: [{ id: 7, url: '/p/7' }] } } }
+  };
+
+  test('keeps the type of a single template and interpolates the rest', () => {
+    expect(renderTemplate('{{ input.qty }}', context)).toBe(2);
+    expect(renderTemplate('{{steps.search.data.items[0]}}', context)).toEqual({ id: 7, url: '/p/7' });
+    expect(renderTemplate('products/{{steps.search.data.items[0].id}}?sku={{input.sku}}', context)).toBe('products/7?sku=A1');
+    expect(renderTemplate({ list: ['{{input.sku}}', 3], keep: true }, context)).toEqual({ list: ['A1', 3], keep: true });
+  });
+
+  test('fails on templates that do not resolve', () => {
+    expect(() => renderTemplate('{{input.missing}}', context)).toThrow(expect.objectContaining({ code: 'TEMPLATE_UNRESOLVED', statusCode: 400 }));
+    expect(() => renderTemplate('x/{{steps.other.id}}', context)).toThrow('Template {{steps.other.id}} did not resolve');
+  });
+
+  test('finds the steps a value refers to', () => {
+    expect(Array.from(findTemplateSteps({ path: '{{steps.a.id}}/{{input.x}}', data: { b: ['{{ steps.b.name }}'] } }))).toEqual(['a', 'b']);
+  });
+});
+
+describe('workflow paths', () => {
+  const config = { baseUrl: 'https://shop.test/store/' };
+
+  test('turns links of the site into paths relative to baseUrl', () => {
+    expect(toWorkflowPath(config, '/products/1')).toBe('products/1');
+    expect(toWorkflowPath(config, 'https://shop.test/store/products/1?page=2')).toBe('products/1?page=2');
+    expect(() => toWorkflowPath(config, 'https://other.test/store/products/1')).toThrow('outside');
+    expect(() => toWorkflowPath(config, 'https://shop.test/admin')).toThrow('outside');
+  });
+});
+
+describe('workflow preparation', () => {
+  test('assigns ids and collects explicit and template dependencies', () => {
+    const steps = prepareWorkflowSteps([
+      { id: 'search', domain: 'a.test', path: 'search' },
+      { domain: 'a.test', path: '{{steps.search.data.url}}' },
+      { domain: 'a.test', path: 'cart', dependsOn: ['step2'] }
+    ]);
+    expect(steps.map(step => [step.id, step.dependencies])).toEqual([
+      ['search', []],
+      ['step2', ['search']],
+      ['step3', ['step2']]
+    ]);
+  });
+
+  test('rejects dependencies on later or unknown steps and duplicate ids', () => {
+    expect(() => prepareWorkflowSteps([{ domain: 'a.test', path: '{{steps.step2.id}}' }, { domain: 'a.test' }]))
+      .toThrow('depends on unknown or later step "step2"');
+    expect(() => prepareWorkflowSteps([{ id: 'a', domain: 'x' }, { id: 'a', domain: 'x' }])).toThrow('Step ids must be unique');
+  });
+
+  test('fills input defaults and checks required inputs', () => {
+    const workflow = { inputs: { sku: { required: true }, qty: { default: 1 } } };
+    expect(resolveWorkflowInput(workflow, { sku: 'A1' })).toEqual({ sku: 'A1', qty: 1 });
+    expect(() => resolveWorkflowInput(workflow, {})).toThrow('Input "sku" is required');
+  });
+});
+
+describe('workflow runner', () => {
+  const succeed = result => ({ success: true, status: 'succeeded', attempts: 1, result });
+  const fail = () => ({ success: false, status: 'failed', attempts: 1, error: 'boom' });
+
+  test('passes step results to later steps in order', async () => {
+    const calls = [];
+    const runWorkflow = createWorkflowRunner(async (step, context, sessionId, apiKey) => {
+      calls.push([step.id, renderTemplate(step.path, context), sessionId, apiKey]);
+      return { id: step.id, ...succeed({ next: `${step.path}/next` }) };
+    });
+    const result = await runWorkflow({ steps: [
+      { id: 'a', domain: 'x', path: 'list' },
+      { id: 'b', domain: 'x', path: '{{steps.a.next}}' }
+    ] }, {}, 'session-1', { apiKey: 'key' });
+
+    expect(result).toMatchObject({ success: true, status: 'completed' });
+    expect(calls).toEqual([['a', 'list', 'session-1', 'key'], ['b', 'list/next', 'session-1', 'key']]);
+  });
+
+  test('skips dependants of a failed step and aborts unless onError is continue', async () => {
+    const runWorkflow = createWorkflowRunner(async step => ({ id: step.id, ...(step.path === 'bad' ? fail() : succeed({})) }));
+
+    const continued = await runWorkflow({ steps: [
+      { id: 'a', domain: 'x', path: 'bad', onError: 'continue' },
+      { id: 'b', domain: 'x', path: 'ok', dependsOn: ['a'], onError: 'continue' },
+      { id: 'c', domain: 'x', path: 'ok', onError: 'continue' }
+    ] });
+    expect(continued.status).toBe('completed');
+    expect(continued.results.map(result => result.status)).toEqual(['failed', 'skipped', 'succeeded']);
+
+    const aborted = await runWorkflow({ steps: [
+      { id: 'a', domain: 'x', path: 'bad', onError: 'abort' },
+      { id: 'b', domain: 'x', path: 'ok' }
+    ] });
+    expect(aborted).toMatchObject({ success: false, status: 'aborted' });
+    expect(aborted.results[1]).toMatchObject({ status: 'skipped', error: 'Workflow aborted' });
+  });
+
+  test('runs independent steps concurrently up to the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const runWorkflow = createWorkflowRunner(async step => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return { id: step.id, ...succeed({}) };
+    });
+    const finished = [];
+    const result = await runWorkflow(
+      { concurrency: 2, steps: [1, 2, 3, 4, 5].map(n => ({ id: `s${n}`, domain: 'x', path: '' })) },
+      {},
+      undefined,
+      { onStepFinished: count => finished.push(count) }
+    );
+    expect(result.success).toBe(true);
+    expect(peak).toBe(2);
+    expect(finished).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('stops launching steps once cancelled', async () => {
+    let cancelled = false;
+    const runWorkflow = createWorkflowRunner(async step => {
+      cancelled = true;
+      return { id: step.id, ...succeed({}) };
+    });
+    const result = await runWorkflow({ steps: [{ id: 'a', domain: 'x' }, { id: 'b', domain: 'x' }] }, {}, undefined, { isCancelled: () => cancelled });
+    expect(result.status).toBe('aborted');
+    expect(result.results.map(item => item.status)).toEqual(['succeeded', 'skipped']);
+  });
+});
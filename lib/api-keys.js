@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Token of a request; EventSource cannot send headers, so streams also accept ?api_key=
+function readApiKey(headers, query = {}) {
+  const authorization = headers.authorization || '';
+  if (/^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return headers['x-api-key'] || query.api_key || null;
+}
+
+// Whether a key grants a scope: admin grants everything, "<access>:*" every domain and write implies read.
+// A missing key passes, since requests only lack one while authentication is off
+function hasScope(apiKey, scope) {
+  if (!apiKey || apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope)) {
+    return true;
+  }
+  const separator = scope.indexOf(':'); // domains may carry a port
+  if (separator === -1) {
+    return false;
+  }
+  const access = scope.slice(0, separator);
+  const domain = scope.slice(separator + 1);
+  const grants = access === 'read' ? ['read:*', 'write:*', `write:${domain}`] : ['write:*'];
+  return apiKey.scopes.some(granted => grants.includes(granted));
+}
+
+// Key lookup: getAdminToken() returns the ADMIN_API_KEY token (or nothing), which authenticates
+// as `adminKey`; getStoredKey(id) returns a created key by id
+function createApiKeyLookup({ getAdminToken, getStoredKey, adminKey }) {
+  // The active key for a presented token, or null; a key's id is the start of its hash
+  function findApiKey(token) {
+    if (!token) {
+      return null;
+    }
+    const hash = hashApiKey(token);
+    const adminToken = getAdminToken();
+    if (adminToken && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(hashApiKey(adminToken)))) {
+      return { ...adminKey };
+    }
+    const apiKey = getStoredKey(hash.slice(0, 16));
+    if (!apiKey || !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(apiKey.hash))) {
+      return null;
+    }
+    if (apiKey.revoked || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+      return null;
+    }
+    return apiKey;
+  }
+
+  return { findApiKey };
+}
+
+module.exports = {
+  hashApiKey,
+  readApiKey,
+  hasScope,
+  createApiKeyLookup
+};
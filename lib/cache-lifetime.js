@@ -0,0 +1,65 @@
+// Freshness of cached upstream responses. defaults ({ ttl, staleIfError }, in seconds) apply
+// where neither the domain config nor the upstream headers say otherwise.
+function createCacheLifetime(defaults) {
+  // Parse a Cache-Control header into { directive: seconds | true }
+  function parseCacheControl(header) {
+    const directives = {};
+    String(header || '').split(',').forEach(part => {
+      const [name, value] = part.trim().split('=');
+      if (name) {
+        const seconds = parseInt(String(value).replace(/"/g, ''));
+        directives[name.toLowerCase()] = Number.isNaN(seconds) ? true : seconds;
+      }
+    });
+    return directives;
+  }
+
+  // How long a fetched page stays fresh and how long it may be served stale afterwards,
+  // from the cache config and (unless respectUpstream is false) the upstream response headers.
+  // Returns null when the response must not be stored.
+  function getCacheLifetime(cacheConfig, headers, shared) {
+    cacheConfig = cacheConfig || {};
+    const lifetime = {
+      ttl: cacheConfig.ttl !== undefined ? cacheConfig.ttl : defaults.ttl,
+      staleWhileRevalidate: cacheConfig.staleWhileRevalidate || 0,
+      staleIfError: cacheConfig.staleIfError !== undefined ? cacheConfig.staleIfError : defaults.staleIfError
+    };
+
+    if (cacheConfig.respectUpstream === false || !headers) {
+      return lifetime;
+    }
+
+    const directives = parseCacheControl(headers['cache-control']);
+    if (directives['no-store'] || (shared && directives.private)) {
+      return null;
+    }
+
+    if (typeof directives['s-maxage'] === 'number') {
+      lifetime.ttl = directives['s-maxage'];
+    } else if (typeof directives['max-age'] === 'number') {
+      lifetime.ttl = directives['max-age'];
+    } else if (headers.expires) {
+      const expires = Date.parse(headers.expires);
+      const date = headers.date ? Date.parse(headers.date) : Date.now();
+      lifetime.ttl = Number.isNaN(expires) ? 0 : Math.max(0, Math.round((expires - date) / 1000));
+    }
+    if (directives['no-cache']) {
+      lifetime.ttl = 0;
+    }
+    if (typeof directives['stale-while-revalidate'] === 'number') {
+      lifetime.staleWhileRevalidate = directives['stale-while-revalidate'];
+    }
+    if (typeof directives['stale-if-error'] === 'number') {
+      lifetime.staleIfError = directives['stale-if-error'];
+    }
+    if (directives['must-revalidate'] || directives['proxy-revalidate']) {
+      lifetime.staleWhileRevalidate = 0;
+      lifetime.staleIfError = 0;
+    }
+    return lifetime;
+  }
+
+  return { parseCacheControl, getCacheLifetime };
+}
+
+module.exports = { createCacheLifetime };
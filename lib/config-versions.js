@@ -0,0 +1,78 @@
+const { diffValues } = require('./diff');
+
+const CONFIG_FIELDS = ['baseUrl', 'selectors', 'selectorVersions', 'auth', 'webhookUrl', 'webhooks', 'useBrowser', 'browserSteps', 'capture', 'pagination', 'cache', 'query', 'form', 'routes', 'routesOnly', 'monitoring'];
+
+// Turn a stored configuration back into the shape accepted by configSchema
+function toConfigInput(domain, config) {
+  const input = { domain };
+  CONFIG_FIELDS.forEach(field => {
+    if (config[field] !== null && config[field] !== undefined) {
+      input[field] = config[field];
+    }
+  });
+  return input;
+}
+
+// RFC 7386 JSON merge patch: objects merge recursively, null removes a key
+function mergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+  const result = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  Object.keys(patch).forEach(key => {
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], patch[key]);
+    }
+  });
+  return result;
+}
+
+// Append a new version to a history, keeping only the last `limit` versions
+function appendConfigVersion(history, config, action, note, limit) {
+  const last = history[history.length - 1];
+  const entry = {
+    version: last ? last.version + 1 : 1,
+    timestamp: new Date().toISOString(),
+    note: note || null,
+    action,
+    config
+  };
+  return { entry, history: history.concat(entry).slice(-limit) };
+}
+
+// Diff two versions of a history (defaulting to the previous and latest versions)
+// Returns null when either version is missing
+function diffConfigVersions(history, fromVersion, toVersion) {
+  const findVersion = version => history.find(entry => entry.version === parseInt(version));
+  const latest = history[history.length - 1];
+  const to = toVersion ? findVersion(toVersion) : latest;
+  const from = fromVersion ? findVersion(fromVersion) : history[history.indexOf(to) - 1];
+
+  if (!from || !to) {
+    return null;
+  }
+
+  const strip = config => {
+    if (!config) {
+      return null;
+    }
+    const { created, updated, ...rest } = config;
+    return rest;
+  };
+
+  return {
+    from: from.version,
+    to: to.version,
+    changes: diffValues(strip(from.config), strip(to.config))
+  };
+}
+
+module.exports = {
+  CONFIG_FIELDS,
+  toConfigInput,
+  mergePatch,
+  appendConfigVersion,
+  diffConfigVersions
+};
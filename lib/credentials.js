@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Session credentials are encrypted at rest with AES-256-GCM, keyed by a hash of the secret.
+// getSecret() is called on every use, so the secret can be loaded lazily.
+function createCredentialCipher(getSecret) {
+  const getKey = () => crypto.createHash('sha256').update(getSecret()).digest();
+
+  // Opaque token holding the credentials: iv.tag.ciphertext
+  function encryptCredentials(credentials) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  // Credentials of a token; throws when it was tampered with or encrypted with another secret
+  function decryptCredentials(token) {
+    const [iv, tag, encrypted] = String(token).split('.').map(part => Buffer.from(part || '', 'base64url'));
+    if (!encrypted || iv.length !== 12 || tag.length !== 16) {
+      throw new Error('Invalid encrypted credentials');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+  }
+
+  return { encryptCredentials, decryptCredentials };
+}
+
+module.exports = {
+  createCredentialCipher
+};
@@ -0,0 +1,100 @@
+// Cron expressions: minute hour day-of-month month day-of-week, evaluated in UTC
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Values of one cron field: *, 5, 1-5, */15, 10-50/10, mon-fri and lists of these
+function parseCronField(text, field) {
+  const toNumber = token => {
+    const index = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+    if (index !== -1) {
+      return index + (field.name === 'month' ? 1 : 0);
+    }
+    if (!/^\d+$/.test(token)) {
+      throw new Error(`Invalid ${field.name} "${token}"`);
+    }
+    return parseInt(token);
+  };
+
+  const values = new Set();
+  text.split(',').forEach(item => {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : toNumber(stepText);
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = toNumber(from);
+      end = to !== undefined ? toNumber(to) : (stepText !== undefined ? field.max : start);
+    }
+    if (step < 1 || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid ${field.name} "${item}" (allowed ${field.min}-${field.max})`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'day of week' ? value % 7 : value);
+    }
+  });
+  return values;
+}
+
+function parseCron(expression) {
+  const source = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  // As in cron, a restricted day of month and day of week match when either does
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2].startsWith('*'), anyWeekday: parts[4].startsWith('*') };
+}
+
+// Next time (ms) after `after` that matches the expression, or null if none within five years
+function nextCronRun(expression, after) {
+  const cron = parseCron(expression);
+  const dayMatches = date => {
+    const day = cron.days.has(date.getUTCDate());
+    const weekday = cron.weekdays.has(date.getUTCDay());
+    if (!cron.anyDay && !cron.anyWeekday) {
+      return day || weekday;
+    }
+    return cron.anyDay ? weekday : day;
+  };
+
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() < limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+module.exports = { CRON_FIELDS, parseCronField, parseCron, nextCronRun };
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// Pagination cursors: opaque tokens signed with HMAC-SHA256, so clients cannot point the
+// proxy at arbitrary URLs. getSecret() is called on every use, so the secret can be loaded lazily.
+function createCursorCodec(getSecret) {
+  function signCursor(body) {
+    return crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+  }
+
+  // Opaque token for the next page of a cursor-paginated endpoint
+  function encodeCursor(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${signCursor(body)}`;
+  }
+
+  // Decode a client cursor, rejecting tampered tokens and tokens of other endpoints
+  function decodeCursor(token, domain, path) {
+    const invalid = () => {
+      const error = new Error('Invalid pagination cursor');
+      error.statusCode = 400;
+      error.code = 'INVALID_CURSOR';
+      return error;
+    };
+
+    const [body, signature] = String(token).split('.');
+    if (!body || !signature) {
+      throw invalid();
+    }
+    const expected = Buffer.from(signCursor(body));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw invalid();
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch (error) {
+      throw invalid();
+    }
+    if (payload.domain !== domain || payload.path !== path || !Number.isInteger(payload.page)) {
+      throw invalid();
+    }
+    return payload;
+  }
+
+  return { encodeCursor, decodeCursor };
+}
+
+module.exports = { createCursorCodec };
@@ -0,0 +1,97 @@
+// Structured list of differences between two JSON values
+function diffValues(from, to, path = '', changes = []) {
+  const isObject = value => value !== null && typeof value === 'object';
+
+  if (isObject(from) && isObject(to) && Array.isArray(from) === Array.isArray(to)) {
+    const keys = Array.from(new Set(Object.keys(from).concat(Object.keys(to))));
+    keys.forEach(key => {
+      const childPath = Array.isArray(from) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+      if (!(key in to)) {
+        changes.push({ path: childPath, type: 'removed', from: from[key] });
+      } else if (!(key in from)) {
+        changes.push({ path: childPath, type: 'added', to: to[key] });
+      } else {
+        diffValues(from[key], to[key], childPath, changes);
+      }
+    });
+  } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+    changes.push({ path: path || '(root)', type: 'changed', from, to });
+  }
+  return changes;
+}
+
+// Watched part of the extracted data
+function pickWatchedFields(data, fields) {
+  if (!fields) {
+    const { forms, ...rest } = data;
+    return rest;
+  }
+  const picked = {};
+  fields.forEach(field => {
+    picked[field] = data[field] === undefined ? null : data[field];
+  });
+  return picked;
+}
+
+// Key identifying an array item across runs: the key field of objects, the value itself otherwise
+function watchItemKey(item, keyField) {
+  if (keyField && item !== null && typeof item === 'object') {
+    return JSON.stringify(item[keyField] === undefined ? null : item[keyField]);
+  }
+  return JSON.stringify(item);
+}
+
+// Diff of two arrays: items are matched by key field, unmatched items were added or removed
+function diffWatchedArray(from, to, keyField) {
+  const before = new Map(from.map(item => [watchItemKey(item, keyField), item]));
+  const after = new Map(to.map(item => [watchItemKey(item, keyField), item]));
+  const diff = { added: [], removed: [], changed: [] };
+
+  after.forEach((item, key) => {
+    if (!before.has(key)) {
+      diff.added.push(item);
+    } else if (JSON.stringify(before.get(key)) !== JSON.stringify(item)) {
+      diff.changed.push({
+        key: keyField ? item[keyField] : null,
+        from: before.get(key),
+        to: item,
+        changes: diffValues(before.get(key), item)
+      });
+    }
+  });
+  before.forEach((item, key) => {
+    if (!after.has(key)) {
+      diff.removed.push(item);
+    }
+  });
+  return diff;
+}
+
+// Structured diff of the watched fields, or null when nothing changed
+function diffWatchedData(from, to, key) {
+  const fields = {};
+  const summary = { added: 0, removed: 0, changed: 0 };
+
+  Array.from(new Set(Object.keys(from).concat(Object.keys(to)))).forEach(field => {
+    const before = from[field] === undefined ? null : from[field];
+    const after = to[field] === undefined ? null : to[field];
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      return;
+    }
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const keyField = typeof key === 'string' ? key : (key && key[field]);
+      const diff = diffWatchedArray(before, after, keyField);
+      summary.added += diff.added.length;
+      summary.removed += diff.removed.length;
+      summary.changed += diff.changed.length;
+      fields[field] = diff;
+    } else {
+      summary.changed++;
+      fields[field] = { from: before, to: after };
+    }
+  });
+
+  return Object.keys(fields).length > 0 ? { fields, summary } : null;
+}
+
+module.exports = { diffValues, pickWatchedFields, diffWatchedData };
@@ -0,0 +1,362 @@
+// Data extraction from a cheerio document: selector specs, fallbacks, tables and transforms
+
+// Currency symbols recognised by the currency transform
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₽': 'RUB', '₩': 'KRW' };
+
+// Parse a human formatted number such as "1,234.50", "1.234,50", "1.234.567" or "-12"
+function parseNumber(value) {
+  let cleaned = String(value).replace(/[^0-9.,-]/g, '');
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator unless it groups thousands ("1,234")
+    cleaned = /,\d{3}$/.test(cleaned) && lastDot === -1
+      ? cleaned.replace(/,/g, '')
+      : cleaned.replace(/\./g, '').replace(',', '.');
+  } else if (lastComma === -1 && (cleaned.indexOf('.') !== lastDot || /^-?[1-9]\d{0,2}\.\d{3}$/.test(cleaned))) {
+    // Without a comma, several dots or a single "1.234" group thousands
+    cleaned = cleaned.replace(/\./g, '');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+
+  const number = parseFloat(cleaned);
+  return isNaN(number) ? null : number;
+}
+
+// Apply a single transform to an extracted value
+function applyTransform(value, transform, config) {
+  const { type, ...options } = typeof transform === 'string' ? { type: transform } : transform;
+
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  switch (type) {
+    case 'trim':
+      return String(value).trim();
+    case 'collapseWhitespace':
+      return String(value).replace(/\s+/g, ' ').trim();
+    case 'lowercase':
+      return String(value).toLowerCase();
+    case 'uppercase':
+      return String(value).toUpperCase();
+    case 'regex': {
+      const match = String(value).match(new RegExp(options.pattern, options.flags));
+      if (!match) {
+        return null;
+      }
+      const group = options.group === undefined ? 1 : options.group;
+      return match[group] !== undefined ? match[group] : match[0];
+    }
+    case 'number':
+      return parseNumber(value);
+    case 'currency': {
+      const text = String(value);
+      const amount = parseNumber(text);
+      const code = text.match(/\b[A-Z]{3}\b/);
+      const symbol = Object.keys(CURRENCY_SYMBOLS).find(s => text.includes(s));
+      return {
+        amount,
+        currency: code ? code[0] : (symbol ? CURRENCY_SYMBOLS[symbol] : null)
+      };
+    }
+    case 'date': {
+      const date = new Date(String(value).trim());
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    case 'absoluteUrl':
+      try {
+        return new URL(String(value).trim(), config.baseUrl.endsWith('/') ? config.baseUrl : `${config.baseUrl}/`).href;
+      } catch (error) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+function applyTransforms(value, transforms, config) {
+  const list = Array.isArray(transforms) ? transforms : [transforms];
+  return list.reduce((current, transform) => applyTransform(current, transform, config), value);
+}
+
+// Read the raw value of a matched element (attribute, inner HTML or text)
+function readElementValue($el, spec) {
+  if (spec.attr) {
+    const attrValue = $el.attr(spec.attr);
+    return attrValue === undefined ? null : attrValue;
+  }
+  if (spec.html) {
+    return ($el.html() || '').trim();
+  }
+  return $el.text().trim();
+}
+
+// Find the elements for a selector, trying fallback alternatives in order.
+// Which alternative matched is recorded in meta.selectors under the field path.
+function findMatches($, $context, selector, key, meta) {
+  const alternatives = [].concat(selector);
+  let $matches;
+
+  for (let i = 0; i < alternatives.length; i++) {
+    $matches = $context ? $context.find(alternatives[i]) : $(alternatives[i]);
+    if ($matches.length > 0) {
+      if (alternatives.length > 1 && meta) {
+        recordMatch(meta, key, { index: i, selector: alternatives[i] });
+      }
+      return $matches;
+    }
+  }
+
+  if (alternatives.length > 1 && meta) {
+    recordMatch(meta, key, { index: -1, selector: null });
+  }
+  return $matches;
+}
+
+// Array items share one entry per field path; the first item that matched wins
+function recordMatch(meta, key, match) {
+  const path = key.replace(/\[\d+\]/g, '');
+  const existing = meta.selectors[path];
+  if (!existing || (existing.index === -1 && match.index !== -1)) {
+    meta.selectors[path] = match;
+  }
+}
+
+// Extract a field spec relative to a context (the document root or an array item)
+function extractField($, $context, spec, config, key, meta) {
+  if (typeof spec === 'string' || Array.isArray(spec)) {
+    spec = { selector: spec };
+  }
+
+  let $matches;
+  if (!spec.selector) {
+    $matches = $context || $.root();
+  } else {
+    $matches = findMatches($, $context, spec.selector, key, meta);
+  }
+
+  let value;
+  if (spec.multiple) {
+    value = [];
+    $matches.each((i, el) => {
+      value.push(readElementValue($(el), spec));
+    });
+    if (spec.transforms) {
+      value = value.map(v => applyTransforms(v, spec.transforms, config));
+    }
+    value = value.filter(v => v !== null && v !== '');
+  } else if ($matches.length > 0) {
+    value = readElementValue($matches, spec);
+    if (spec.transforms) {
+      value = applyTransforms(value, spec.transforms, config);
+    }
+  } else {
+    value = null;
+  }
+
+  const isEmpty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  if (isEmpty && spec.default !== undefined) {
+    return spec.default;
+  }
+  if (isEmpty && spec.required) {
+    const error = new Error(`Required field "${key}" was not found`);
+    error.statusCode = 502;
+    error.code = 'REQUIRED_FIELD_MISSING';
+    error.field = key.replace(/\[\d+\]/g, '');
+    throw error;
+  }
+
+  // Plain text selectors keep returning an empty string when nothing matched
+  return value === null && !spec.attr && !spec.transforms ? '' : value;
+}
+
+// Normalize a table header to a JSON friendly key ("Unit Price ($)" -> "unit_price")
+function normalizeHeader(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Expand table rows into a grid of cell texts, honoring colspan and rowspan
+function buildTableGrid($, rows) {
+  const grid = [];
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let col = 0;
+    $(row).children('th, td').each((i, cell) => {
+      const $cell = $(cell);
+      const text = $cell.text().replace(/\s+/g, ' ').trim();
+      const colspan = parseInt($cell.attr('colspan')) || 1;
+      const rowspan = parseInt($cell.attr('rowspan')) || 1;
+
+      while (grid[rowIndex][col] !== undefined) {
+        col++;
+      }
+      for (let r = 0; r < rowspan; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIndex + r][col + c] = text;
+        }
+      }
+      col += colspan;
+    });
+  });
+  return grid;
+}
+
+// Convert an HTML table into an array of objects keyed by its headers
+function extractTable($, $context, spec, key, meta) {
+  const $table = findMatches($, $context, spec.selector, key, meta).first();
+  if ($table.length === 0) {
+    return [];
+  }
+
+  const rowsOf = $section => $section.children('tr').toArray();
+  let headerRows = rowsOf($table.children('thead'));
+  let bodyRows = $table.children('tbody').toArray().reduce((rows, tbody) => rows.concat(rowsOf($(tbody))), rowsOf($table));
+
+  // Without a thead, a first row made only of th cells is the header
+  if (headerRows.length === 0 && bodyRows.length > 0) {
+    const $first = $(bodyRows[0]);
+    if ($first.children('th').length > 0 && $first.children('td').length === 0) {
+      headerRows = [bodyRows[0]];
+      bodyRows = bodyRows.slice(1);
+    }
+  }
+
+  const headerGrid = buildTableGrid($, headerRows);
+  const bodyGrid = buildTableGrid($, bodyRows);
+  const columnCount = Math.max(0, ...headerGrid.concat(bodyGrid).map(row => row.length));
+  const rename = spec.rename || {};
+  const skip = spec.skip || [];
+  const usedKeys = {};
+
+  // Multi-row headers are joined per column ("Price" + "Net" -> "price_net")
+  const keys = [];
+  for (let col = 0; col < columnCount; col++) {
+    const parts = [];
+    headerGrid.forEach(row => {
+      if (row[col] && !parts.includes(row[col])) {
+        parts.push(row[col]);
+      }
+    });
+    const label = parts.join(' ');
+    const normalized = normalizeHeader(label) || `column_${col + 1}`;
+
+    if (skip.includes(label) || skip.includes(normalized)) {
+      keys.push(null);
+      continue;
+    }
+
+    let key = rename[label] || rename[normalized] || normalized;
+    if (usedKeys[key]) {
+      usedKeys[key]++;
+      key = `${key}_${usedKeys[key]}`;
+    } else {
+      usedKeys[key] = 1;
+    }
+    keys.push(key);
+  }
+
+  return bodyGrid
+    .filter(row => row.some(cell => cell !== undefined && cell !== ''))
+    .map(row => {
+      const item = {};
+      keys.forEach((key, col) => {
+        if (key) {
+          item[key] = row[col] !== undefined ? row[col] : '';
+        }
+      });
+      return item;
+    });
+}
+
+// Extract a group of fields relative to a context element
+function extractFields($, $context, fields, config, path, meta) {
+  const item = {};
+  Object.keys(fields).forEach(field => {
+    item[field] = extractSelector($, $context, fields[field], config, `${path}.${field}`, meta);
+  });
+  return item;
+}
+
+// Extract any selector spec (string, field, object or array) relative to a context
+function extractSelector($, $context, spec, config, key, meta) {
+  if (spec.type === 'array') {
+    const items = [];
+    const $items = findMatches($, $context, spec.selector, key, meta);
+    $items.each((i, el) => {
+      items.push(spec.fields
+        ? extractFields($, $(el), spec.fields, config, `${key}[${i}]`, meta)
+        : { text: $(el).text().trim() });
+    });
+    return items;
+  }
+
+  if (spec.type === 'table') {
+    return extractTable($, $context, spec, key, meta);
+  }
+
+  if (spec.type === 'object') {
+    let $scope = $context;
+    if (spec.selector) {
+      $scope = findMatches($, $context, spec.selector, key, meta).first();
+    }
+    return extractFields($, $scope, spec.fields, config, key, meta);
+  }
+
+  return extractField($, $context, spec, config, key, meta);
+}
+
+// Pick the selector set for the page: the first version whose marker matches, else config.selectors
+function selectSelectorVersion($, config) {
+  const version = (config.selectorVersions || []).find(v => !v.marker || $(v.marker).length > 0);
+  return version
+    ? { name: version.name, selectors: version.selectors }
+    : { name: 'default', selectors: config.selectors };
+}
+
+// Data extraction function
+function extractData($, config, meta = { version: null, selectors: {} }) {
+  const data = {};
+  const { name, selectors } = selectSelectorVersion($, config);
+  meta.version = name;
+
+  // Extract data based on configured selectors
+  if (selectors) {
+    Object.keys(selectors).forEach(key => {
+      data[key] = extractSelector($, null, selectors[key], config, key, meta);
+    });
+  }
+
+  // Extract forms
+  data.forms = [];
+  $('form').each((i, form) => {
+    const $form = $(form);
+    const formData = {
+      id: $form.attr('id'),
+      name: $form.attr('name'),
+      action: $form.attr('action'),
+      method: $form.attr('method') || 'GET',
+      enctype: $form.attr('enctype') || 'application/x-www-form-urlencoded',
+      inputs: []
+    };
+
+    $form.find('input, select, textarea').each((j, input) => {
+      const $input = $(input);
+      formData.inputs.push({
+        name: $input.attr('name'),
+        type: $input.attr('type'),
+        value: $input.attr('value'),
+        placeholder: $input.attr('placeholder')
+      });
+    });
+
+    data.forms.push(formData);
+  });
+
+  return data;
+}
+
+module.exports = { parseNumber, applyTransforms, extractData };
@@ -0,0 +1,75 @@
+// Pick the configured form on a page (by id, name, selector or index)
+function selectForm($, formSpec) {
+  if (formSpec.id) {
+    return $(`form[id="${formSpec.id}"]`).first();
+  }
+  if (formSpec.name) {
+    return $(`form[name="${formSpec.name}"]`).first();
+  }
+  if (formSpec.selector) {
+    return $(formSpec.selector).filter('form').first();
+  }
+  return $('form').eq(formSpec.index || 0);
+}
+
+// The fillForm/submit step target matching a form spec
+function formSpecToStep(formSpec) {
+  formSpec = formSpec || {};
+  if (formSpec.id) {
+    return { selector: `form[id="${formSpec.id}"]` };
+  }
+  if (formSpec.name) {
+    return { selector: `form[name="${formSpec.name}"]` };
+  }
+  if (formSpec.selector) {
+    return { selector: formSpec.selector };
+  }
+  return { selector: 'form', index: formSpec.index || 0 };
+}
+
+// Collect the values a browser would submit for a form without user input
+function collectFormDefaults($, $form) {
+  const fields = {};
+  let submitIncluded = false;
+
+  $form.find('input, select, textarea').each((i, el) => {
+    const $el = $(el);
+    const name = $el.attr('name');
+    if (!name || $el.attr('disabled') !== undefined) {
+      return;
+    }
+
+    const tag = el.tagName.toLowerCase();
+    const type = ($el.attr('type') || 'text').toLowerCase();
+
+    if (tag === 'select') {
+      const $selected = $el.find('option[selected]').first();
+      const $option = $selected.length ? $selected : $el.find('option').first();
+      if ($option.length) {
+        fields[name] = $option.attr('value') !== undefined ? $option.attr('value') : $option.text().trim();
+      }
+    } else if (tag === 'textarea') {
+      fields[name] = $el.text();
+    } else if (type === 'checkbox' || type === 'radio') {
+      if ($el.attr('checked') !== undefined) {
+        fields[name] = $el.attr('value') !== undefined ? $el.attr('value') : 'on';
+      }
+    } else if (type === 'submit' || type === 'image') {
+      // Servers often check for the submit button, so send the first named one
+      if (!submitIncluded) {
+        fields[name] = $el.attr('value') || '';
+        submitIncluded = true;
+      }
+    } else if (type !== 'file' && type !== 'button' && type !== 'reset') {
+      fields[name] = $el.attr('value') || '';
+    }
+  });
+
+  return fields;
+}
+
+module.exports = {
+  selectForm,
+  formSpecToStep,
+  collectFormDefaults
+};
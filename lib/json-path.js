@@ -0,0 +1,53 @@
+// Split a JSONPath-style path ($.a.b, $.items[0], $.items[*].name, $['odd key']) into keys,
+// with '*' for wildcards
+function parseJsonPath(path) {
+  if (!path.startsWith('$')) {
+    throw new Error(`JSON path "${path}" must start with $`);
+  }
+  const body = path.slice(1);
+  const tokenPattern = /\.\*|\[\*\]|\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+  const tokens = [];
+  let consumed = 0;
+  let match;
+  while ((match = tokenPattern.exec(body)) && match.index === consumed) {
+    consumed = tokenPattern.lastIndex;
+    if (match[0] === '.*' || match[0] === '[*]') {
+      tokens.push('*');
+    } else if (match[2] !== undefined) {
+      tokens.push(Number(match[2]));
+    } else {
+      tokens.push(match[1] !== undefined ? match[1] : match[3]);
+    }
+  }
+  if (consumed !== body.length) {
+    throw new Error(`Invalid JSON path "${path}"`);
+  }
+  return tokens;
+}
+
+// Evaluate a JSONPath-style path; paths with a wildcard return an array of all matches
+function evaluateJsonPath(value, path) {
+  let current = [value];
+  let wildcard = false;
+  parseJsonPath(path).forEach(token => {
+    const next = [];
+    current.forEach(item => {
+      if (item === null || typeof item !== 'object') {
+        return;
+      }
+      if (token === '*') {
+        wildcard = true;
+        next.push(...(Array.isArray(item) ? item : Object.values(item)));
+      } else if (item[token] !== undefined) {
+        next.push(item[token]);
+      }
+    });
+    current = next;
+  });
+  if (wildcard) {
+    return current;
+  }
+  return current.length > 0 ? current[0] : null;
+}
+
+module.exports = { parseJsonPath, evaluateJsonPath };
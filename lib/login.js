@@ -0,0 +1,53 @@
+// Guess the credential fields of a login form
+function detectLoginFields($, $form, auth) {
+  const passwordField = auth.passwordField || $form.find('input[type="password"]').first().attr('name');
+  let usernameField = auth.usernameField;
+
+  if (!usernameField) {
+    const candidates = $form.find('input').toArray().filter(el => {
+      const type = ($(el).attr('type') || 'text').toLowerCase();
+      return $(el).attr('name') && ['text', 'email', 'tel'].includes(type);
+    });
+    const preferred = candidates.find(el => /user|email|login|account/i.test($(el).attr('name')));
+    usernameField = preferred ? $(preferred).attr('name') : (candidates[0] ? $(candidates[0]).attr('name') : 'username');
+  }
+
+  return { usernameField, passwordField: passwordField || 'password' };
+}
+
+// Decide whether the page returned after submitting credentials means we are logged in
+function isLoginSuccessful($, finalUrl, auth) {
+  if (auth.failureSelector && $(auth.failureSelector).length > 0) {
+    return false;
+  }
+  if (auth.successSelector && $(auth.successSelector).length === 0) {
+    return false;
+  }
+  if (auth.successUrl && !new RegExp(auth.successUrl).test(finalUrl)) {
+    return false;
+  }
+  if (!auth.successSelector && !auth.successUrl) {
+    // Without explicit checks, seeing the login form again means the credentials were rejected
+    return $('input[type="password"]').length === 0;
+  }
+  return true;
+}
+
+// Detect that the upstream dropped our session (redirect to the login page or an expiry marker)
+function isSessionExpired($, finalUrl, requestedUrl, config) {
+  const auth = config.auth;
+  if (auth.expiredSelector && $(auth.expiredSelector).length > 0) {
+    return true;
+  }
+  if (!finalUrl || finalUrl === requestedUrl) {
+    return false;
+  }
+  const loginPathname = new URL(`${config.baseUrl}/${auth.loginPath}`).pathname;
+  return new URL(finalUrl).pathname === loginPathname && new URL(requestedUrl).pathname !== loginPathname;
+}
+
+module.exports = {
+  detectLoginFields,
+  isLoginSuccessful,
+  isSessionExpired
+};
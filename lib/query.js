@@ -0,0 +1,88 @@
+const Joi = require('joi');
+
+// Serialize a query object with sorted keys so equivalent queries produce the same string
+function serializeQuery(query) {
+  const params = new URLSearchParams();
+  Object.keys(query).sort().forEach(key => {
+    [].concat(query[key]).forEach(value => params.append(key, String(value)));
+  });
+  return params.toString();
+}
+
+// Build the Joi schema for a single configured query parameter
+function buildQueryParamSchema(rule) {
+  let schema;
+  if (rule.type === 'number' || rule.type === 'integer') {
+    schema = rule.type === 'integer' ? Joi.number().integer() : Joi.number();
+    if (rule.min !== undefined) {
+      schema = schema.min(rule.min);
+    }
+    if (rule.max !== undefined) {
+      schema = schema.max(rule.max);
+    }
+  } else if (rule.type === 'boolean') {
+    schema = Joi.boolean();
+  } else {
+    schema = Joi.string();
+    if (rule.min !== undefined) {
+      schema = schema.min(rule.min);
+    }
+    if (rule.max !== undefined) {
+      schema = schema.max(rule.max);
+    }
+    if (rule.pattern) {
+      schema = schema.pattern(new RegExp(rule.pattern));
+    }
+  }
+  if (rule.enum) {
+    schema = schema.valid(...rule.enum);
+  }
+  return rule.required ? schema.required() : schema.optional();
+}
+
+// Map the client query onto the upstream query (allow-list, defaults, validation, renaming)
+function mapQuery(query, rules) {
+  rules = rules || {};
+  if (rules.forward === false) {
+    return {};
+  }
+
+  const params = rules.params || {};
+  const allowed = rules.allow ? rules.allow.concat(Object.keys(params)) : null;
+  const mapped = {};
+
+  Object.keys(query || {}).forEach(key => {
+    const value = query[key];
+    // Only plain values and repeated values are forwarded, not bracket-nested objects
+    const isPlain = typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+    if (isPlain && (!allowed || allowed.includes(key))) {
+      mapped[key] = value;
+    }
+  });
+
+  Object.keys(rules.defaults || {}).forEach(key => {
+    if (mapped[key] === undefined) {
+      mapped[key] = rules.defaults[key];
+    }
+  });
+
+  const keys = {};
+  Object.keys(params).forEach(key => {
+    keys[key] = buildQueryParamSchema(params[key]);
+  });
+  const { error, value } = Joi.object(keys).unknown(true).validate(mapped);
+  if (error) {
+    const validationError = new Error(`Invalid query parameter: ${error.details[0].message}`);
+    validationError.statusCode = 400;
+    throw validationError;
+  }
+
+  const rename = rules.rename || {};
+  const upstream = {};
+  Object.keys(value).forEach(key => {
+    upstream[rename[key] || key] = value[key];
+  });
+  return upstream;
+}
+
+module.exports = { serializeQuery, mapQuery };
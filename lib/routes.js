@@ -0,0 +1,61 @@
+// Match an API path against a route pattern, returning its params or null
+function matchRoutePath(pattern, path) {
+  const patternParts = pattern.replace(/^\/+|\/+$/g, '').split('/');
+  const pathParts = path.replace(/^\/+|\/+$/g, '').split('/');
+
+  if (patternParts.length !== pathParts.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = pathParts[i]; // Express has already decoded the path
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// Fill {param} placeholders of an upstream template
+function buildUpstreamPath(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (params[name] === undefined) {
+      throw new Error(`Route parameter "${name}" is not defined`);
+    }
+    return encodeURIComponent(params[name]);
+  });
+}
+
+// Find the named route for a request and build the config it runs with
+function resolveRoute(config, method, path) {
+  for (const route of config.routes || []) {
+    if ((route.method || 'GET') !== method) {
+      continue;
+    }
+    const params = matchRoutePath(route.path, path);
+    if (params) {
+      return {
+        params,
+        upstreamPath: buildUpstreamPath(route.upstream, params),
+        config: {
+          ...config,
+          selectors: route.selectors || config.selectors,
+          selectorVersions: route.selectors ? route.selectorVersions : (route.selectorVersions || config.selectorVersions),
+          useBrowser: route.useBrowser !== undefined ? route.useBrowser : config.useBrowser,
+          browserSteps: route.browserSteps || config.browserSteps,
+          capture: route.capture || config.capture,
+          pagination: route.pagination !== undefined ? route.pagination : config.pagination,
+          cache: route.cache ? { ...config.cache, ...route.cache } : config.cache,
+          query: route.query || config.query,
+          form: route.form || config.form,
+          route: route.name || route.path
+        }
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = { matchRoutePath, resolveRoute };
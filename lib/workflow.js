@@ -0,0 +1,197 @@
+const { evaluateJsonPath } = require('./json-path');
+
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+// Step ids referenced by the templates of a value
+function findTemplateSteps(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_PATTERN)) {
+      const step = match[1].match(/^steps\.(\w+)/);
+      if (step) {
+        found.add(step[1]);
+      }
+    }
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findTemplateSteps(item, found));
+  }
+  return found;
+}
+
+// Replace {{steps.<id>...}} and {{input...}} templates; a string that is a single template keeps the value's type
+function renderTemplate(value, context) {
+  if (typeof value === 'string') {
+    const resolve = expression => {
+      let resolved;
+      try {
+        resolved = evaluateJsonPath(context, `$.${expression}`);
+      } catch (error) {
+        resolved = null;
+      }
+      if (resolved === null || resolved === undefined) {
+        const error = new Error(`Template {{${expression}}} did not resolve`);
+        error.statusCode = 400;
+        error.code = 'TEMPLATE_UNRESOLVED';
+        throw error;
+      }
+      return resolved;
+    };
+
+    const single = value.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+    if (single) {
+      return resolve(single[1]);
+    }
+    return value.replace(TEMPLATE_PATTERN, (match, expression) => {
+      const resolved = resolve(expression);
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, context));
+  }
+  if (value && typeof value === 'object') {
+    const rendered = {};
+    Object.keys(value).forEach(key => {
+      rendered[key] = renderTemplate(value[key], context);
+    });
+    return rendered;
+  }
+  return value;
+}
+
+// API path of a templated value: links of the domain's own site become paths relative to baseUrl
+function toWorkflowPath(config, value) {
+  const text = String(value);
+  if (!/^https?:\/\//i.test(text)) {
+    return text.replace(/^\/+/, '');
+  }
+  const base = new URL(`${config.baseUrl.replace(/\/+$/, '')}/`);
+  const url = new URL(text);
+  if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) {
+    const error = new Error(`${text} is outside ${config.baseUrl}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return `${url.pathname.slice(base.pathname.length)}${url.search}`;
+}
+
+// Give every step an id and collect its dependencies (explicit and from templates);
+// steps may only depend on earlier steps, which rules out cycles
+function prepareWorkflowSteps(steps) {
+  const ids = steps.map((step, index) => step.id || `step${index + 1}`);
+  const prepared = steps.map((step, index) => {
+    const dependencies = new Set(step.dependsOn || []);
+    findTemplateSteps({ domain: step.domain, path: step.path, query: step.query, data: step.data, sessionId: step.sessionId }, dependencies);
+    dependencies.forEach(dependency => {
+      const position = ids.indexOf(dependency);
+      if (position === -1 || position >= index) {
+        const error = new Error(`Step "${ids[index]}" depends on unknown or later step "${dependency}"`);
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+    return { ...step, id: ids[index], dependencies: Array.from(dependencies) };
+  });
+  if (new Set(ids).size !== ids.length) {
+    const error = new Error('Step ids must be unique');
+    error.statusCode = 400;
+    throw error;
+  }
+  return prepared;
+}
+
+// Run workflow steps as their dependencies finish, at most `concurrency` at a time.
+// runStep(step, context, sessionId, apiKey) resolves to the outcome of one step and never rejects.
+// hooks: { apiKey, isCancelled(), onStepFinished(finishedCount) } (the latter two for async jobs)
+function createWorkflowRunner(runStep) {
+  return async function runWorkflow(workflow, input = {}, sessionId = undefined, hooks = {}) {
+    const steps = prepareWorkflowSteps(workflow.steps);
+    const concurrency = workflow.concurrency || 1;
+    const outcomes = {};
+    const context = { steps: {}, input };
+    let running = 0;
+    let finished = 0;
+    let aborted = false;
+
+    await new Promise(resolve => {
+      const launch = () => {
+        if (!aborted && hooks.isCancelled && hooks.isCancelled()) {
+          aborted = true;
+        }
+        for (const step of steps) {
+          if (outcomes[step.id] || running >= concurrency) {
+            continue;
+          }
+          const blocked = step.dependencies.some(dependency => outcomes[dependency] && ['failed', 'skipped'].includes(outcomes[dependency].status));
+          if (aborted || blocked) {
+            outcomes[step.id] = { id: step.id, success: false, status: 'skipped', attempts: 0, error: aborted ? 'Workflow aborted' : 'A step it depends on did not succeed' };
+            finished++;
+            continue;
+          }
+          if (!step.dependencies.every(dependency => outcomes[dependency] && outcomes[dependency].status === 'succeeded')) {
+            continue; // Waiting for dependencies
+          }
+          // Sequential workflows keep the order of their steps
+          if (concurrency === 1 && steps.slice(0, steps.indexOf(step)).some(other => !outcomes[other.id])) {
+            continue;
+          }
+
+          running++;
+          outcomes[step.id] = { id: step.id, status: 'running' };
+          runStep(step, context, sessionId, hooks.apiKey).then(outcome => {
+            running--;
+            finished++;
+            outcomes[step.id] = outcome;
+            if (outcome.success) {
+              context.steps[step.id] = outcome.result;
+            } else if (step.onError !== 'continue') {
+              aborted = true;
+            }
+            if (hooks.onStepFinished) {
+              hooks.onStepFinished(finished);
+            }
+            launch();
+          });
+        }
+        if (running === 0) {
+          resolve();
+        }
+      };
+      launch();
+    });
+
+    const results = steps.map(step => outcomes[step.id]);
+    return {
+      success: results.every(result => result.success),
+      status: aborted ? 'aborted' : 'completed',
+      results
+    };
+  };
+}
+
+// Input of a saved workflow: declared defaults filled in, required inputs checked
+function resolveWorkflowInput(workflow, input) {
+  const resolved = { ...input };
+  Object.keys(workflow.inputs || {}).forEach(name => {
+    const spec = workflow.inputs[name];
+    if (resolved[name] === undefined && spec.default !== undefined) {
+      resolved[name] = spec.default;
+    }
+    if (resolved[name] === undefined && spec.required) {
+      const error = new Error(`Input "${name}" is required`);
+      error.statusCode = 400;
+      throw error;
+    }
+  });
+  return resolved;
+}
+
+// Batch operations endpoint: a one-off workflow ({ requests } is accepted for compatibility)
+
+module.exports = {
+  findTemplateSteps,
+  renderTemplate,
+  toWorkflowPath,
+  prepareWorkflowSteps,
+  resolveWorkflowInput,
+  createWorkflowRunner
+};
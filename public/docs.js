@@ -0,0 +1,134 @@
+// HTML-to-API Proxy API documentation, rendered from /openapi.json
+document.addEventListener('DOMContentLoaded', function() {
+    loadDocs();
+});
+
+async function loadDocs() {
+    const docsContent = document.getElementById('docsContent');
+
+    try {
+        const apiKey = localStorage.getItem('apiKey');
+        const response = await fetch('/openapi.json', apiKey ? { headers: { Authorization: `Bearer ${apiKey}` } } : {});
+        if (response.status === 401) {
+            docsContent.innerHTML = '<section><p>Enter an API key on the <a href="/">dashboard</a> to see the documentation.</p></section>';
+            return;
+        }
+        const spec = await response.json();
+        renderDocs(spec, docsContent);
+    } catch (error) {
+        console.error('Error loading API documentation:', error);
+        docsContent.innerHTML = '<section><p>Failed to load API documentation.</p></section>';
+    }
+}
+
+function renderDocs(spec, container) {
+    container.innerHTML = '';
+
+    if (!spec.tags || spec.tags.length === 0) {
+        container.innerHTML = '<section><p>No configurations found. Add one on the dashboard to generate documentation.</p></section>';
+        return;
+    }
+
+    spec.tags.forEach(tag => {
+        const section = document.createElement('section');
+        section.innerHTML = `
+            <h2>${escapeHtml(tag.name)}</h2>
+            <p class="docs-base-url">${escapeHtml(tag.description || '')}</p>
+        `;
+
+        Object.entries(spec.paths).forEach(([path, operations]) => {
+            Object.entries(operations).forEach(([method, operation]) => {
+                if ((operation.tags || []).includes(tag.name)) {
+                    section.appendChild(renderOperation(spec, path, method, operation));
+                }
+            });
+        });
+
+        container.appendChild(section);
+    });
+}
+
+function renderOperation(spec, path, method, operation) {
+    const details = document.createElement('details');
+    details.className = 'docs-operation';
+
+    const parameters = operation.parameters || [];
+    const requestContent = operation.requestBody ? operation.requestBody.content : null;
+    const requestSchema = requestContent ? Object.values(requestContent)[0].schema : null;
+    const successContent = operation.responses[200] && operation.responses[200].content;
+    const responseSchema = successContent ? successContent['application/json'].schema : null;
+
+    details.innerHTML = `
+        <summary>
+            <span class="docs-method docs-method-${method}">${method.toUpperCase()}</span>
+            <code>${escapeHtml(path)}</code>
+            <span class="docs-summary">${escapeHtml(operation.summary || '')}</span>
+        </summary>
+        ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+        ${parameters.length ? `
+            <h4>Parameters</h4>
+            <table class="docs-table">
+                <tr><th>Name</th><th>In</th><th>Type</th><th>Required</th></tr>
+                ${parameters.map(p => `
+                    <tr>
+                        <td>${escapeHtml(p.name)}</td>
+                        <td>${p.in}</td>
+                        <td>${escapeHtml(describeSchema(p.schema))}</td>
+                        <td>${p.required ? 'Yes' : 'No'}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        ` : ''}
+        ${requestSchema && requestSchema.properties ? `
+            <h4>Request Body</h4>
+            <pre>${escapeHtml(JSON.stringify(requestSchema.properties, null, 2))}</pre>
+        ` : ''}
+        ${responseSchema ? `
+            <h4>Response</h4>
+            <pre>${escapeHtml(JSON.stringify(exampleFromSchema(spec, responseSchema), null, 2))}</pre>
+        ` : ''}
+    `;
+
+    return details;
+}
+
+function describeSchema(schema) {
+    const parts = [schema.type || 'string'];
+    if (schema.enum) {
+        parts.push(`one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.default !== undefined) {
+        parts.push(`default ${schema.default}`);
+    }
+    return parts.join(', ');
+}
+
+// Build an illustrative value from a JSON schema
+function exampleFromSchema(spec, schema) {
+    if (schema.$ref) {
+        return exampleFromSchema(spec, spec.components.schemas[schema.$ref.split('/').pop()]);
+    }
+    if (schema.type === 'object') {
+        const example = {};
+        Object.entries(schema.properties || {}).forEach(([key, value]) => {
+            example[key] = exampleFromSchema(spec, value);
+        });
+        return example;
+    }
+    if (schema.type === 'array') {
+        return schema.items ? [exampleFromSchema(spec, schema.items)] : [];
+    }
+    if (schema.type === 'number' || schema.type === 'integer') {
+        return 0;
+    }
+    if (schema.type === 'boolean') {
+        return false;
+    }
+    return schema.format || 'string';
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+}
@@ -1,5 +1,14 @@
 // HTML-to-API Proxy Frontend
 document.addEventListener('DOMContentLoaded', function() {
+    // Remember the API key in this browser
+    const apiKeyInput = document.getElementById('apiKey');
+    apiKeyInput.value = localStorage.getItem('apiKey') || '';
+    apiKeyInput.addEventListener('change', function() {
+        localStorage.setItem('apiKey', this.value.trim());
+        loadConfigurations();
+        loadMetrics();
+    });
+
     loadConfigurations();
 
     // Handle configuration form submission
@@ -52,9 +61,18 @@ document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('refreshMetrics').addEventListener('click', loadMetrics);
 });
 
+// fetch() with the API key, when one is set
+function apiFetch(url, options = {}) {
+    const apiKey = localStorage.getItem('apiKey');
+    if (!apiKey) {
+        return fetch(url, options);
+    }
+    return fetch(url, { ...options, headers: { ...(options.headers || {}), Authorization: `Bearer ${apiKey}` } });
+}
+
 async function loadConfigurations() {
     try {
-        const response = await fetch('/config');
+        const response = await apiFetch('/config');
         const configs = await response.json();
 
         const configsList = document.getElementById('configsList');
@@ -86,6 +104,7 @@ function createConfigCard(domain, config) {
         <p><strong>Auth:</strong> ${config.auth ? 'Enabled' : 'None'}</p>
         <p><strong>Browser:</strong> ${config.useBrowser ? 'Enabled' : 'Disabled'}</p>
         <p><strong>Pagination:</strong> ${config.pagination ? 'Enabled' : 'Disabled'}</p>
+        <p><strong>Routes:</strong> ${config.routes && config.routes.length ? config.routes.map(r => `${r.method || 'GET'} ${r.path}`).join(', ') : 'None'}</p>
         <p><strong>Created:</strong> ${new Date(config.created).toLocaleString()}</p>
         <div class="actions">
             <button class="btn btn-primary" onclick="testEndpoint('${domain}')">Test API</button>
@@ -99,7 +118,7 @@ function createConfigCard(domain, config) {
 
 async function addConfiguration(domain, baseUrl, selectors, webhookUrl, auth, useBrowser, pagination) {
     try {
-        const response = await fetch('/config', {
+        const response = await apiFetch('/config', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -127,7 +146,7 @@ async function deleteConfiguration(domain) {
     }
 
     try {
-        const response = await fetch(`/config/${domain}`, {
+        const response = await apiFetch(`/config/${domain}`, {
             method: 'DELETE'
         });
 
@@ -149,7 +168,7 @@ async function testEndpoint(domain) {
     testResultDiv.innerHTML = '<p>Testing...</p>';
 
     try {
-        const response = await fetch(`/api/${domain}/`);
+        const response = await apiFetch(`/api/${domain}/`);
         const data = await response.json();
 
         if (response.ok) {
@@ -202,7 +221,7 @@ async function testAPI() {
     }
 
     try {
-        const response = await fetch(`/api/${domain}/${path}`, {
+        const response = await apiFetch(`/api/${domain}/${path}`, {
             method,
             headers,
             body: body ? JSON.stringify(body) : null
@@ -225,7 +244,7 @@ async function testAPI() {
 
 async function loadMetrics() {
     try {
-        const response = await fetch('/metrics');
+        const response = await apiFetch('/metrics');
         const data = await response.json();
 
         const metricsDiv = document.getElementById('metricsData');
@@ -1,23 +1,40 @@
 const express = require('express');
 const https = require('https');
+const crypto = require('crypto');
 const axios = require('axios');
-const axiosRetry = require('axios-retry');
+const axiosRetry = require('axios-retry').default;
 const cheerio = require('cheerio');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
+const fs = require('fs');
 const multer = require('multer');
 const FormData = require('form-data');
 const puppeteer = require('puppeteer');
 const { CookieJar } = require('tough-cookie');
 const { wrapper: cookieJarSupport } = require('axios-cookiejar-support');
-const memoryCache = require('memory-cache');
 const rateLimit = require('express-rate-limit');
 const Joi = require('joi');
+const WebSocket = require('ws');
+const { createCursorCodec } = require('./lib/cursor');
+const { createCredentialCipher } = require('./lib/credentials');
+const { createCacheLifetime } = require('./lib/cache-lifetime');
+const { parseJsonPath, evaluateJsonPath } = require('./lib/json-path');
+const { pickWatchedFields, diffWatchedData } = require('./lib/diff');
+const { nextCronRun } = require('./lib/cron');
+const { applyTransforms, extractData } = require('./lib/extract');
+const { serializeQuery, mapQuery } = require('./lib/query');
+const { resolveRoute } = require('./lib/routes');
+const { selectForm, formSpecToStep, collectFormDefaults } = require('./lib/forms');
+const { detectLoginFields, isLoginSuccessful, isSessionExpired } = require('./lib/login');
+const { renderTemplate, toWorkflowPath, prepareWorkflowSteps, resolveWorkflowInput, createWorkflowRunner } = require('./lib/workflow');
+const { hashApiKey, readApiKey, hasScope, createApiKeyLookup } = require('./lib/api-keys');
+const { CONFIG_FIELDS, toConfigInput, mergePatch, appendConfigVersion, diffConfigVersions } = require('./lib/config-versions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const accessLogPath = path.join(__dirname, 'access.log');
 
 // IP Whitelisting
 const allowedIPs = process.env.ALLOWED_IPS ? process.env.ALLOWED_IPS.split(',').map(ip => ip.trim()) : null;
@@ -29,6 +46,7 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS
 app.set('trust proxy', 1);
 app.use(helmet());
 app.use(cors({ origin: allowedOrigins }));
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]api_key=)[^&]*/g, '$1[redacted]')); // Keep stream API keys out of the logs
 app.use(morgan('combined')); // Console logging
 app.use(morgan('combined', { stream: fs.createWriteStream(accessLogPath, { flags: 'a' }) })); // File logging
 app.use(express.json());
@@ -38,49 +56,552 @@ app.use(express.urlencoded({ extended: true }));
 const upload = multer();
 
 // IP Whitelisting middleware
-app.use('/api/', (req, res, next) => {
+app.use(['/api/', '/stream/'], (req, res, next) => {
   if (allowedIPs && !allowedIPs.includes(req.ip)) {
     return res.status(403).json({ error: 'Access denied: IP not whitelisted' });
   }
   next();
 });
 
-// Rate limiting
+// Serve static files (HTML interface)
+app.use(express.static(path.join(__dirname, 'public')));
+
+// API keys: every other request needs a key once authentication is on (see "API keys" below)
+app.use(authenticate);
+
+// Rate limiting: per API key while authentication is on, per IP otherwise
+const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
+
+const keyLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW,
+  limit: req => req.apiKey.rateLimit, // requests per key per window
+  keyGenerator: req => `key:${req.apiKey.id}`,
+  skip: req => !req.apiKey,
+  message: { error: 'Too many requests for this API key, please try again later.', code: 'RATE_LIMITED' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use(keyLimiter);
+
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
+  windowMs: RATE_LIMIT_WINDOW,
   max: 100, // limit each IP to 100 requests per windowMs
+  skip: req => Boolean(req.apiKey),
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
 });
-app.use('/api/', limiter);
+app.use(['/api/', '/stream/'], limiter);
 
 // Stricter rate limiting for configuration endpoints
 const configLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
+  windowMs: RATE_LIMIT_WINDOW,
   max: 20, // limit each IP to 20 config requests per windowMs
+  skip: req => Boolean(req.apiKey),
   message: 'Too many configuration requests, please try again later.',
 });
 app.use('/config', configLimiter);
 
-// Serve static files (HTML interface)
-app.use(express.static(path.join(__dirname, 'public')));
+// Storage backends: configurations, sessions, the response cache and metrics live in
+// namespaces of a small key-value store, so several processes can share them.
+// get/set/delete/keys/entries/clear are synchronous; update and increment return promises.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'file';
+const STORAGE_DIR = process.env.STORAGE_DIR || __dirname;
 
-// Configuration storage (in production, use a database)
-let websiteConfigs = {};
+// File backend: one directory per namespace (<dir>/storage/<namespace>) holding one JSON file
+// per key, so a write only costs the size of its own entry. Files are replaced atomically and
+// re-read when another process changed them. Read-modify-write updates (claims, counters) hold
+// a lock file on their key, so they stay atomic across processes sharing the directory; waiting
+// for a lock retries on a timer instead of blocking the event loop.
+const FILE_LOCK_TIMEOUT = 5000;
+const FILE_LOCK_RETRY = 10;
+const FILE_LOCK_STALE = 10000; // locks older than this were left behind by a crashed process
+const FILE_KEY_MAX_LENGTH = 200;
 
-// Session storage for cookie jars (in production, use Redis/database)
-let sessionStore = {};
+function createFileStorage(dir) {
+  // Files of the earlier one-file-per-namespace layout, moved into the directory layout on first use
+  const legacyFileNames = {
+    configs: 'config.json',
+    configHistory: 'config-history.json',
+    sessions: 'sessions.json',
+    cache: 'cache.json',
+    metrics: 'metrics.json',
+    settings: 'settings.json',
+    webhooks: 'webhook-deliveries.json',
+    fingerprints: 'fingerprints.json',
+    watches: 'watches.json',
+    schedules: 'schedules.json',
+    jobs: 'jobs.json',
+    workflows: 'workflows.json',
+    apiKeys: 'api-keys.json',
+    archive: 'archive.json'
+  };
+  const root = path.join(dir, 'storage');
+  const migrated = new Set();
+  const loaded = {}; // file -> { stamp, entry }
 
-// Metrics storage
-const metrics = {
-  totalRequests: 0,
-  totalErrors: 0,
-  requestCountByDomain: {},
-  responseTimeSum: 0,
-  responseTimeCount: 0,
-  startTime: Date.now()
-};
+  // Keys become percent-encoded file names, with "^" marking upper-case letters so keys that differ
+  // in case stay apart on case-insensitive file systems. Long keys are hashed instead; every file
+  // records its key, so hashed names can still be listed.
+  function fileName(key) {
+    const encoded = encodeURIComponent(key)
+      .replace(/[!~*'()]/g, char => `%${char.charCodeAt(0).toString(16)}`)
+      .replace(/%[0-9A-F]{2}/g, code => code.toLowerCase())
+      .replace(/[A-Z]/g, char => `^${char.toLowerCase()}`);
+    if (encoded.length > FILE_KEY_MAX_LENGTH) {
+      return `~${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+    }
+    return `${encoded}.json`;
+  }
+
+  function keyFromFileName(name) {
+    return decodeURIComponent(name.slice(0, -'.json'.length).replace(/\^([a-z])/g, (match, char) => char.toUpperCase()));
+  }
+
+  function namespaceDir(namespace) {
+    const directory = path.join(root, namespace);
+    if (!migrated.has(namespace)) {
+      migrateLegacyFile(namespace, directory);
+      migrated.add(namespace);
+    }
+    return directory;
+  }
+
+  function entryFile(namespace, key) {
+    return path.join(namespaceDir(namespace), fileName(String(key)));
+  }
+
+  // Split a namespace file of the old layout into a staging directory and move it into place
+  function migrateLegacyFile(namespace, directory) {
+    const legacyFile = path.join(dir, legacyFileNames[namespace] || `${namespace}.json`);
+    if (fs.existsSync(directory) || !fs.existsSync(legacyFile)) {
+      return;
+    }
+    let data;
+    try {
+      const content = fs.readFileSync(legacyFile, 'utf8');
+      data = content.trim() ? JSON.parse(content) : {};
+    } catch (error) {
+      console.error(`Error loading ${legacyFile}:`, error);
+      return;
+    }
+
+    const staging = `${directory}.${process.pid}.tmp`;
+    fs.rmSync(staging, { recursive: true, force: true });
+    fs.mkdirSync(staging, { recursive: true });
+    Object.keys(data).forEach(key => {
+      fs.writeFileSync(path.join(staging, fileName(key)), JSON.stringify({ key, value: data[key] }, null, 2));
+    });
+    try {
+      fs.renameSync(staging, directory);
+    } catch (error) {
+      fs.rmSync(staging, { recursive: true, force: true }); // Another process migrated it first
+    }
+    fs.rmSync(legacyFile, { force: true });
+  }
+
+  // The { key, value } entry stored in a file, or null when it does not exist
+  function readEntry(file, fresh = false) {
+    let stamp = null;
+    try {
+      const stat = fs.statSync(file);
+      stamp = `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      // Missing files are missing keys
+    }
+
+    const current = loaded[file];
+    if (!stamp) {
+      delete loaded[file];
+      return null;
+    }
+    if (fresh || !current || current.stamp !== stamp) {
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          delete loaded[file];
+          return null;
+        }
+        console.error(`Error loading ${file}:`, error);
+        entry = current ? current.entry : null;
+      }
+      loaded[file] = { stamp, entry };
+    }
+    return loaded[file].entry;
+  }
+
+  function writeEntry(namespace, key, value) {
+    const file = entryFile(namespace, key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    const entry = { key: String(key), value: copy(value) };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify(entry, null, 2));
+    fs.renameSync(tempFile, file);
+    const stat = fs.statSync(file);
+    loaded[file] = { stamp: `${stat.mtimeMs}:${stat.size}`, entry };
+  }
+
+  function entryFiles(namespace) {
+    const directory = namespaceDir(namespace);
+    try {
+      return fs.readdirSync(directory)
+        .filter(name => name.endsWith('.json')) // Skips lock and temporary files
+        .map(name => ({ name, file: path.join(directory, name) }));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Run fn(entry) on the freshly read entry of a key while holding its lock file
+  async function locked(namespace, key, fn) {
+    const file = entryFile(namespace, key);
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + FILE_LOCK_TIMEOUT;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockFile, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        try {
+          if (Date.now() - fs.statSync(lockFile).mtimeMs > FILE_LOCK_STALE) {
+            fs.unlinkSync(lockFile);
+            continue;
+          }
+        } catch (statError) {
+          continue; // Released in the meantime
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for ${lockFile}`);
+        }
+        await sleep(FILE_LOCK_RETRY);
+      }
+    }
+
+    try {
+      return fn(readEntry(file, true));
+    } finally {
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    backend: 'file',
+    location: root,
+    get(namespace, key) {
+      const entry = readEntry(entryFile(namespace, key));
+      return entry ? copy(entry.value) : undefined;
+    },
+    set(namespace, key, value) {
+      writeEntry(namespace, key, value);
+    },
+    delete(namespace, key) {
+      const file = entryFile(namespace, key);
+      fs.rmSync(file, { force: true });
+      delete loaded[file];
+    },
+    keys: namespace => entryFiles(namespace)
+      .map(({ name, file }) => {
+        if (!name.startsWith('~')) {
+          return keyFromFileName(name);
+        }
+        const entry = readEntry(file);
+        return entry ? entry.key : null;
+      })
+      .filter(key => key !== null),
+    entries(namespace) {
+      const result = {};
+      entryFiles(namespace).forEach(({ file }) => {
+        const entry = readEntry(file);
+        if (entry) {
+          result[entry.key] = copy(entry.value);
+        }
+      });
+      return result;
+    },
+    clear(namespace) {
+      entryFiles(namespace).forEach(({ file }) => {
+        fs.rmSync(file, { force: true });
+        delete loaded[file];
+      });
+    },
+    update(namespace, key, updater) {
+      return locked(namespace, key, entry => {
+        const value = updater(copy(entry ? entry.value : undefined));
+        writeEntry(namespace, key, value);
+        return value;
+      });
+    },
+    // Add to several counters; each counter is a key of its own
+    async increment(namespace, amounts) {
+      for (const key of Object.keys(amounts)) {
+        await locked(namespace, key, entry => writeEntry(namespace, key, ((entry && entry.value) || 0) + amounts[key]));
+      }
+    }
+  };
+}
+
+// SQLite backend: a single key-value table in WAL mode, safe for concurrent processes
+function createSqliteStorage(file) {
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`CREATE TABLE IF NOT EXISTS entries (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (namespace, key)
+  )`);
+
+  const statements = {
+    get: db.prepare('SELECT value FROM entries WHERE namespace = ? AND key = ?'),
+    set: db.prepare('INSERT INTO entries (namespace, key, value) VALUES (?, ?, ?) ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value'),
+    delete: db.prepare('DELETE FROM entries WHERE namespace = ? AND key = ?'),
+    keys: db.prepare('SELECT key FROM entries WHERE namespace = ?').pluck(),
+    entries: db.prepare('SELECT key, value FROM entries WHERE namespace = ?'),
+    clear: db.prepare('DELETE FROM entries WHERE namespace = ?')
+  };
+
+  function get(namespace, key) {
+    const row = statements.get.get(namespace, key);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  function set(namespace, key, value) {
+    statements.set.run(namespace, key, JSON.stringify(value));
+  }
+
+  // Read-modify-write under a write lock so concurrent processes do not lose updates
+  const update = db.transaction((namespace, key, updater) => {
+    const value = updater(get(namespace, key));
+    set(namespace, key, value);
+    return value;
+  });
+
+  const increment = db.transaction((namespace, amounts) => {
+    Object.keys(amounts).forEach(key => {
+      set(namespace, key, (get(namespace, key) || 0) + amounts[key]);
+    });
+  });
+
+  return {
+    backend: 'sqlite',
+    location: file,
+    get,
+    set,
+    delete: (namespace, key) => {
+      statements.delete.run(namespace, key);
+    },
+    keys: namespace => statements.keys.all(namespace),
+    entries: namespace => {
+      const result = {};
+      statements.entries.all(namespace).forEach(row => {
+        result[row.key] = JSON.parse(row.value);
+      });
+      return result;
+    },
+    clear: namespace => {
+      statements.clear.run(namespace);
+    },
+    update: async (namespace, key, updater) => update.immediate(namespace, key, updater),
+    increment: async (namespace, amounts) => increment.immediate(namespace, amounts),
+    close: () => db.close()
+  };
+}
+
+function createStorage() {
+  switch (STORAGE_BACKEND) {
+    case 'file':
+      return createFileStorage(STORAGE_DIR);
+    case 'sqlite':
+      return createSqliteStorage(process.env.STORAGE_SQLITE_PATH || path.join(STORAGE_DIR, 'html-to-api.db'));
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected "file" or "sqlite")`);
+  }
+}
+
+const storage = createStorage();
+
+// Configuration storage
+function getConfig(domain) {
+  return storage.get('configs', domain) || null;
+}
+
+function getAllConfigs() {
+  return storage.entries('configs');
+}
+
+// Session storage for cookie jars, persisted in the "sessions" namespace
+// Keyed by domain for the shared session, and by "domain:sessionId" for client sessions
+// Live sessions keep their cookie jar here and are reloaded when another process saved a newer revision
+const sessionStore = {};
+
+// Client sessions are selected with this header and expire SESSION_TTL seconds after creation
+const SESSION_HEADER = 'X-Session-Id';
+const SESSION_TTL = parseInt(process.env.SESSION_TTL) || 24 * 60 * 60;
+
+// Forms discovered on fetched pages, used to document POST endpoints
+const discoveredForms = {}; // domain -> { path -> { pageUrl, forms } }
+
+// Metrics are counters in the "metrics" namespace, shared by all processes
+const metricsStartTime = Date.now();
+
+// Add to several counters in one storage call: { name: amount }
+function incrementMetrics(amounts) {
+  storage.increment('metrics', amounts).catch(error => console.error('Error saving metrics:', error));
+}
+
+// Count a finished /api request, with its response time when it succeeded
+function recordRequestMetrics(domain, responseTime) {
+  incrementMetrics({
+    totalRequests: 1,
+    [`domain:${domain}`]: 1,
+    responseTimeSum: responseTime,
+    responseTimeCount: 1
+  });
+}
+
+function recordErrorMetric() {
+  incrementMetrics({ totalErrors: 1 });
+}
+
+function getMetrics() {
+  const counters = storage.entries('metrics');
+  const requestCountByDomain = {};
+  Object.keys(counters).filter(name => name.startsWith('domain:')).forEach(name => {
+    requestCountByDomain[name.slice('domain:'.length)] = counters[name];
+  });
+  const requestCountByKey = {};
+  Object.keys(counters).filter(name => name.startsWith('key:')).forEach(name => {
+    const id = name.slice('key:'.length);
+    const apiKey = id === ADMIN_KEY_ID ? null : storage.get('apiKeys', id);
+    requestCountByKey[id] = {
+      name: apiKey ? apiKey.name : (id === ADMIN_KEY_ID ? 'ADMIN_API_KEY' : null),
+      requests: counters[name],
+      errors: counters[`keyErrors:${id}`] || 0,
+      lastUsed: apiKey ? apiKey.lastUsed : null
+    };
+  });
+  return {
+    totalRequests: counters.totalRequests || 0,
+    totalErrors: counters.totalErrors || 0,
+    requestCountByDomain,
+    requestCountByKey,
+    responseTimeSum: counters.responseTimeSum || 0,
+    responseTimeCount: counters.responseTimeCount || 0,
+    startTime: metricsStartTime
+  };
+}
+
+// API keys: clients send "Authorization: Bearer <key>" (or X-API-Key). Keys are stored as
+// SHA-256 hashes with their scopes: "admin", "read:<domain>" and "write:<domain>" ("*" for all domains)
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 100; // requests per 15 minutes
+const ADMIN_KEY_ID = 'admin'; // the key set with ADMIN_API_KEY
+const API_KEY_PREFIX = 'hta_';
+const PUBLIC_PATHS = ['/health', '/help'];
+
+const apiKeySchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  scopes: Joi.array().items(Joi.string().pattern(/^(admin|(read|write):(\*|[^\s*]+))$/)).min(1).unique().required()
+    .messages({ 'string.pattern.base': 'Scopes are admin, read:<domain>, write:<domain>, read:* or write:*' }),
+  rateLimit: Joi.number().integer().min(1).default(API_KEY_RATE_LIMIT),
+  expiresAt: Joi.date().iso().greater('now').optional()
+});
+
+const { findApiKey } = createApiKeyLookup({
+  getAdminToken: () => process.env.ADMIN_API_KEY,
+  getStoredKey: id => storage.get('apiKeys', id),
+  adminKey: { id: ADMIN_KEY_ID, name: 'ADMIN_API_KEY', scopes: ['admin'], rateLimit: API_KEY_RATE_LIMIT }
+});
+
+// Authentication is on once ADMIN_API_KEY is set or a key has been created (revoked keys included)
+function authenticationEnabled() {
+  return Boolean(process.env.ADMIN_API_KEY) || Object.values(storage.entries('apiKeys')).some(Boolean);
+}
+
+// Count a request per key in /metrics; lastUsed is written at most once a minute
+function recordKeyUsage(apiKey, statusCode) {
+  incrementMetrics(statusCode >= 400 ? { [`key:${apiKey.id}`]: 1, [`keyErrors:${apiKey.id}`]: 1 } : { [`key:${apiKey.id}`]: 1 });
+  if (apiKey.id !== ADMIN_KEY_ID && (!apiKey.lastUsed || Date.now() - new Date(apiKey.lastUsed).getTime() > 60000)) {
+    storage.update('apiKeys', apiKey.id, current => (current ? { ...current, lastUsed: new Date().toISOString() } : null))
+      .catch(error => console.error('Error saving metrics:', error));
+  }
+}
+
+// Middleware: attach req.apiKey, rejecting requests without a valid key while authentication is on
+function authenticate(req, res, next) {
+  if (!authenticationEnabled()) {
+    return next(); // Requests only lack a key while authentication is off
+  }
+  const token = readApiKey(req.headers, req.path.startsWith('/stream/') ? req.query : {});
+  if (!token && PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const apiKey = findApiKey(token);
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: token ? 'Invalid, revoked or expired API key' : 'API key required', code: 'UNAUTHORIZED' });
+  }
+  req.apiKey = apiKey;
+  res.on('finish', () => recordKeyUsage(apiKey, res.statusCode));
+  next();
+}
+
+function forbidden(scope) {
+  const error = new Error(`API key lacks the ${scope} scope`);
+  error.statusCode = 403;
+  error.code = 'FORBIDDEN';
+  return error;
+}
+
+// Route middleware requiring scopes; `scope` is a scope or a function of the request returning one or a list
+function requireScope(scope) {
+  return (req, res, next) => {
+    const scopes = [].concat(typeof scope === 'function' ? scope(req) : scope);
+    const missing = scopes.find(required => !hasScope(req.apiKey, required));
+    if (missing) {
+      const error = forbidden(missing);
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    next();
+  };
+}
+
+// Scope on the domain of a route ("*" when the request does not name one)
+function domainScope(access, getDomain = req => req.params.domain) {
+  return requireScope(req => `${access}:${getDomain(req) || '*'}`);
+}
+
+// Scope on the domain of a stored record (watch, schedule, delivery); an unknown record needs access to every domain
+function recordScope(access, namespace) {
+  return requireScope(req => {
+    const record = storage.get(namespace, req.params.id);
+    const scopes = [`${access}:${record ? record.domain : '*'}`];
+    if (req.body && req.body.domain && req.method === 'PUT') {
+      scopes.push(`${access}:${req.body.domain}`);
+    }
+    return scopes;
+  });
+}
+
+function describeApiKey(apiKey) {
+  const { hash, ...details } = apiKey;
+  return details;
+}
 
 // Circuit Breaker configuration
 const CIRCUIT_BREAKER_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5;
@@ -103,6 +624,17 @@ function getCircuitBreaker(domain) {
   return circuitBreakers[domain];
 }
 
+// Errors caused by the client (validation, cursors, expired sessions, scopes) or by extraction and
+// login problems say nothing about the upstream's health and must not open its circuit
+const CLIENT_ERROR_CODES = ['BROWSER_POOL_BUSY', 'INVALID_CURSOR', 'SESSION_EXPIRED', 'FORBIDDEN', 'TEMPLATE_UNRESOLVED', 'REQUIRED_FIELD_MISSING', 'CAPTURE_MISSING', 'AUTH_FAILED'];
+
+function isUpstreamFailure(error) {
+  if (CLIENT_ERROR_CODES.includes(error.code) || /Circuit breaker is open/.test(error.message)) {
+    return false;
+  }
+  return !(error.statusCode && error.statusCode < 500);
+}
+
 function recordFailure(domain) {
   const cb = getCircuitBreaker(domain);
   cb.failures++;
@@ -128,6 +660,12 @@ function recordSuccess(domain) {
   }
 }
 
+// Whether a makeAPICall result came from the upstream (cache hits and stale copies do not),
+// so only real upstream responses count towards closing the circuit breaker
+function fromUpstream(result) {
+  return !result.cached || result.cache.status === 'revalidated';
+}
+
 function canProceed(domain) {
   const cb = getCircuitBreaker(domain);
   if (cb.state === 'closed') {
@@ -145,173 +683,1110 @@ function canProceed(domain) {
   return true; // half-open
 }
 
+// Transform validation schema (a bare name or an object with options)
+const TRANSFORM_TYPES = ['trim', 'collapseWhitespace', 'lowercase', 'uppercase', 'regex', 'number', 'currency', 'date', 'absoluteUrl'];
+
+const transformSchema = Joi.alternatives().try(
+  Joi.string().valid(...TRANSFORM_TYPES),
+  Joi.object({
+    type: Joi.string().valid(...TRANSFORM_TYPES).required(),
+    pattern: Joi.string().when('type', { is: 'regex', then: Joi.required() }),
+    flags: Joi.string().optional(),
+    group: Joi.number().integer().min(0).default(1)
+  })
+);
+
+// A CSS selector, or an ordered list of fallbacks tried until one matches
+const selectorListSchema = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1));
+
+// Field spec validation schema
+const fieldSpecSchema = Joi.object({
+  type: Joi.string().valid('field').optional(),
+  selector: selectorListSchema.optional(),
+  attr: Joi.string().optional(),
+  html: Joi.boolean().optional(),
+  multiple: Joi.boolean().optional(),
+  default: Joi.any().optional(),
+  required: Joi.boolean().optional(),
+  transforms: Joi.array().items(transformSchema).single().optional()
+}).oxor('attr', 'html');
+
+// Array and object specs may nest any selector (including other arrays) in their fields
+const arraySpecSchema = Joi.object({
+  type: Joi.string().valid('array').required(),
+  selector: selectorListSchema.required(),
+  fields: Joi.object().pattern(Joi.string(), Joi.link('#selector')).optional()
+});
+
+const objectSpecSchema = Joi.object({
+  type: Joi.string().valid('object').required(),
+  selector: selectorListSchema.optional(),
+  fields: Joi.object().pattern(Joi.string(), Joi.link('#selector')).required()
+});
+
+// Cache settings of a config or route (lifetimes in seconds)
+const cacheSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  ttl: Joi.number().integer().min(0).optional(),
+  staleWhileRevalidate: Joi.number().integer().min(0).optional(),
+  staleIfError: Joi.number().integer().min(0).optional(),
+  respectUpstream: Joi.boolean().optional(),
+  vary: Joi.array().items(Joi.string().pattern(/^[\w-]+$/)).optional()
+});
+
+// links: fetch every link matching selector, next: follow the next-page link page by page,
+// page/offset: count a query parameter up, scroll: infinite scroll in browser mode
+const PAGINATION_STRATEGIES = ['links', 'next', 'page', 'offset', 'scroll'];
+
+const paginationSchema = Joi.object({
+  strategy: Joi.string().valid(...PAGINATION_STRATEGIES).default('links'),
+  selector: Joi.string().when('strategy', { is: Joi.valid('links', 'next'), then: Joi.required() }),
+  param: Joi.string().when('strategy', { is: Joi.valid('page', 'offset'), then: Joi.required(), otherwise: Joi.forbidden() }),
+  start: Joi.number().integer().min(0).optional(),
+  step: Joi.number().integer().min(1).when('strategy', { is: 'offset', then: Joi.required(), otherwise: Joi.forbidden() }),
+  delay: Joi.number().integer().min(0).max(30000).optional(),
+  maxPages: Joi.number().integer().min(1).max(50).default(5),
+  // cursor: return one page per request with a cursor for the next one instead of merging pages
+  mode: Joi.string().valid('merge', 'cursor').default('merge')
+    .when('strategy', { is: Joi.valid('links', 'scroll'), then: Joi.invalid('cursor') })
+});
+
+const tableSpecSchema = Joi.object({
+  type: Joi.string().valid('table').required(),
+  selector: selectorListSchema.required(),
+  rename: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+  skip: Joi.array().items(Joi.string()).optional()
+});
+
+const selectorSchema = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1), arraySpecSchema, objectSpecSchema, tableSpecSchema, fieldSpecSchema).id('selector');
+
+// Whole selector sets for a page layout, chosen when their marker selector matches
+const selectorVersionSchema = Joi.object({
+  name: Joi.string().required(),
+  marker: Joi.string().optional(),
+  selectors: Joi.object().pattern(Joi.string(), selectorSchema).required()
+});
+
+// Query string forwarding rules
+const queryParamRuleSchema = Joi.object({
+  type: Joi.string().valid('string', 'number', 'integer', 'boolean').default('string'),
+  required: Joi.boolean().optional(),
+  min: Joi.number().optional(),
+  max: Joi.number().optional(),
+  pattern: Joi.string().optional(),
+  enum: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())).optional()
+});
+
+const querySchema = Joi.object({
+  forward: Joi.boolean().default(true),
+  allow: Joi.array().items(Joi.string()).optional(),
+  rename: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+  defaults: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())).optional(),
+  params: Joi.object().pattern(Joi.string(), queryParamRuleSchema).optional()
+});
+
+// Scripted browser interactions run after the page loaded and before extraction.
+// value may use {{name}} placeholders filled from the POST body or the query.
+const BROWSER_STEP_ACTIONS = ['waitForSelector', 'click', 'type', 'select', 'scroll', 'waitForNetworkIdle', 'evaluate', 'fillForm', 'submit'];
+const browserStepSchema = Joi.object({
+  action: Joi.string().valid(...BROWSER_STEP_ACTIONS).required(),
+  selector: Joi.string().when('action', { is: Joi.valid('waitForSelector', 'click', 'type', 'select'), then: Joi.required() }),
+  value: Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.array().items(Joi.string()))
+    .when('action', { is: Joi.valid('type', 'select'), then: Joi.required() }),
+  script: Joi.string().when('action', { is: 'evaluate', then: Joi.required() }),
+  index: Joi.number().integer().min(0).optional(),
+  as: Joi.string().optional(),
+  clear: Joi.boolean().optional(),
+  visible: Joi.boolean().optional(),
+  times: Joi.number().integer().min(1).max(100).optional(),
+  delay: Joi.number().integer().min(0).max(10000).optional(),
+  idleTime: Joi.number().integer().min(0).optional(),
+  waitForNavigation: Joi.boolean().optional(),
+  timeout: Joi.number().integer().min(0).max(120000).optional(),
+  optional: Joi.boolean().default(false)
+});
+
+// Browser mode: capture JSON responses of background XHR/fetch calls whose URL matches
+// (a substring, or a regular expression written as /pattern/), optionally mapped with JSONPath-style paths
+const jsonPathSchema = Joi.string().custom((value, helpers) => {
+  try {
+    parseJsonPath(value);
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+  return value;
+});
+
+const captureMapSchema = Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+  jsonPathSchema,
+  Joi.object({
+    path: jsonPathSchema.required(),
+    transforms: Joi.array().items(transformSchema).single().optional()
+  })
+));
+
+const captureRuleSchema = Joi.object({
+  name: Joi.string().required(),
+  url: Joi.string().required(),
+  method: Joi.string().uppercase().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE').optional(),
+  all: Joi.boolean().default(false),
+  map: captureMapSchema.optional(),
+  wait: Joi.boolean().default(false),
+  timeout: Joi.number().integer().min(0).max(120000).optional(),
+  required: Joi.boolean().default(false)
+});
+
+const captureSchema = Joi.object({
+  mode: Joi.string().valid('merge', 'replace').default('merge'),
+  responses: Joi.array().items(captureRuleSchema).min(1).required()
+});
+
+// Form submission mode: GET the page holding the form, then submit it with its hidden fields
+const formSubmitSchema = Joi.object({
+  page: Joi.string().allow('').optional(),
+  index: Joi.number().integer().min(0).optional(),
+  id: Joi.string().optional(),
+  name: Joi.string().optional(),
+  selector: Joi.string().optional(),
+  steps: Joi.array().items(browserStepSchema).optional() // browser mode: replaces the default fillForm + submit
+}).oxor('index', 'id', 'name', 'selector');
+
+// Login flow: the login form is discovered on loginPath and the outcome is checked
+const authSchema = Joi.object({
+  username: Joi.string().required(),
+  password: Joi.string().required(),
+  loginPath: Joi.string().default('login'),
+  form: formSubmitSchema.optional(),
+  usernameField: Joi.string().optional(),
+  passwordField: Joi.string().optional(),
+  extraFields: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+  successSelector: Joi.string().optional(),
+  successUrl: Joi.string().optional(),
+  failureSelector: Joi.string().optional(),
+  expiredSelector: Joi.string().optional()
+});
+
+// Canary checks that watch for selector drift
+const canarySchema = Joi.alternatives().try(
+  Joi.string().allow(''),
+  Joi.object({
+    path: Joi.string().allow('').required(),
+    query: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+    expect: Joi.object().pattern(Joi.string(), Joi.object({
+      type: Joi.string().valid('string', 'number', 'boolean', 'array', 'object').optional(),
+      minCount: Joi.number().integer().min(0).optional(),
+      required: Joi.boolean().optional()
+    })).optional()
+  })
+);
+
+const monitoringSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  interval: Joi.number().integer().min(60).default(3600),
+  canaries: Joi.array().items(canarySchema).min(1).required()
+});
+
+// Webhook targets: each receives the events it subscribes to, signed with its secret
+const WEBHOOK_EVENTS = ['success', 'error', 'data-changed', 'selector-drift', 'watch-changed'];
+
+const webhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().default(['success']),
+  secret: Joi.string().min(16).optional(),
+  headers: Joi.object().pattern(Joi.string().pattern(/^[\w-]+$/), Joi.string()).optional(),
+  enabled: Joi.boolean().default(true)
+});
+
+// Named route validation schema, e.g. GET products/:id -> catalog/item.php?id={id}
+const routeSchema = Joi.object({
+  name: Joi.string().optional(),
+  method: Joi.string().valid('GET', 'POST').default('GET'),
+  path: Joi.string().required(),
+  upstream: Joi.string().required(),
+  selectors: Joi.object().pattern(Joi.string(), selectorSchema).optional(),
+  selectorVersions: Joi.array().items(selectorVersionSchema).optional(),
+  useBrowser: Joi.boolean().optional(),
+  browserSteps: Joi.array().items(browserStepSchema).optional(),
+  capture: captureSchema.optional(),
+  pagination: paginationSchema.allow(null).optional(),
+  cache: cacheSchema.optional(),
+  query: querySchema.optional(),
+  form: formSubmitSchema.optional()
+});
+
 // Configuration validation schema
 const configSchema = Joi.object({
   domain: Joi.string().domain().required(),
   baseUrl: Joi.string().uri().required(),
-  selectors: Joi.object().optional(),
+  selectors: Joi.object().pattern(Joi.string(), selectorSchema).optional(),
+  selectorVersions: Joi.array().items(selectorVersionSchema).optional(),
   webhookUrl: Joi.string().uri().optional(),
-  auth: Joi.object({
-    username: Joi.string().required(),
-    password: Joi.string().required(),
-    loginPath: Joi.string().default('login')
-  }).optional(),
+  webhooks: Joi.array().items(webhookSchema).max(10).optional(),
+  auth: authSchema.optional(),
   useBrowser: Joi.boolean().optional(),
-  pagination: Joi.object({
-    selector: Joi.string().required(),
-    maxPages: Joi.number().integer().min(1).max(50).default(5)
-  }).optional()
+  browserSteps: Joi.array().items(browserStepSchema).optional(),
+  capture: captureSchema.optional(),
+  pagination: paginationSchema.optional(),
+  cache: cacheSchema.optional(),
+  query: querySchema.optional(),
+  form: formSubmitSchema.optional(),
+  routes: Joi.array().items(routeSchema).optional(),
+  routesOnly: Joi.boolean().optional(),
+  monitoring: monitoringSchema.optional()
 });
 
-// Load configuration from file if exists
-const fs = require('fs');
-const configPath = path.join(__dirname, 'config.json');
-const sessionPath = path.join(__dirname, 'sessions.json');
-const accessLogPath = path.join(__dirname, 'access.log');
+// Version history of each domain configuration
+const MAX_CONFIG_VERSIONS = parseInt(process.env.MAX_CONFIG_VERSIONS) || 50;
 
-if (fs.existsSync(configPath)) {
-  try {
-    websiteConfigs = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-  } catch (error) {
-    console.error('Error loading config:', error);
-  }
+function getConfigHistory(domain) {
+  return storage.get('configHistory', domain) || [];
 }
 
-// Load sessions from file if exists
-if (fs.existsSync(sessionPath)) {
-  try {
-    const sessionData = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
-    // Recreate cookie jars from serialized data
-    Object.keys(sessionData).forEach(domain => {
-      const jar = new CookieJar();
-      sessionData[domain].cookies.forEach(cookieData => {
-        jar.setCookieSync(cookieData, sessionData[domain].baseUrl);
-      });
-      sessionStore[domain] = {
-        jar,
-        baseUrl: sessionData[domain].baseUrl,
-        lastUsed: new Date(sessionData[domain].lastUsed)
-      };
-    });
-  } catch (error) {
-    console.error('Error loading sessions:', error);
+// Configurations created before versioning start their history here
+Object.entries(getAllConfigs()).forEach(([domain, config]) => {
+  if (getConfigHistory(domain).length === 0) {
+    storage.set('configHistory', domain, [{
+      version: 1,
+      timestamp: config.created || new Date().toISOString(),
+      note: 'Loaded from config.json',
+      action: 'create',
+      config
+    }]);
   }
-}
+});
 
-// Save configuration to file
-function saveConfig() {
+// Save a domain configuration (config is null when it is deleted)
+function saveConfig(domain, config) {
   try {
-    fs.writeFileSync(configPath, JSON.stringify(websiteConfigs, null, 2));
+    if (config) {
+      storage.set('configs', domain, config);
+    } else {
+      storage.delete('configs', domain);
+    }
   } catch (error) {
     console.error('Error saving config:', error);
   }
 }
 
-// Save sessions to file
-function saveSessions() {
+// Record a new version of a domain configuration (config is null when it was deleted)
+async function recordConfigVersion(domain, config, action, note) {
+  let entry;
   try {
-    const sessionData = {};
-    Object.keys(sessionStore).forEach(domain => {
-      const session = sessionStore[domain];
-      sessionData[domain] = {
-        baseUrl: session.baseUrl,
-        lastUsed: session.lastUsed.toISOString(),
-        cookies: session.jar.getCookiesSync(session.baseUrl).map(cookie => cookie.toString())
-      };
+    await storage.update('configHistory', domain, (history = []) => {
+      const appended = appendConfigVersion(history, config, action, note, MAX_CONFIG_VERSIONS);
+      entry = appended.entry;
+      return appended.history;
     });
-    fs.writeFileSync(sessionPath, JSON.stringify(sessionData, null, 2));
   } catch (error) {
-    console.error('Error saving sessions:', error);
+    console.error('Error saving config history:', error);
   }
+  return entry;
 }
 
-// Get or create cookie jar for domain
-async function getCookieJar(domain, baseUrl, config) {
-  if (!sessionStore[domain]) {
-    sessionStore[domain] = {
-      jar: new CookieJar(),
-      baseUrl,
-      lastUsed: new Date()
-    };
+// Credentials of client sessions are stored encrypted. The secret is shared through storage
+// so every process can log a session in again.
+let sessionSecret = process.env.SESSION_SECRET || null;
 
-    // Perform automated login if auth is configured
-    if (config && config.auth && config.auth.loginPath) {
-      await performLogin(sessionStore[domain].jar, baseUrl, config.auth);
-    }
+// Load (or create) the shared secret; call before encrypting or decrypting credentials
+async function loadSessionSecret() {
+  if (!sessionSecret) {
+    sessionSecret = await storage.update('settings', 'sessionSecret', secret => secret || crypto.randomBytes(32).toString('hex'));
+  }
+  return sessionSecret;
+}
+
+const { encryptCredentials, decryptCredentials } = createCredentialCipher(() => sessionSecret);
+
+// Recreate a session from its stored form, including its cookie jar
+function restoreSession(key, stored) {
+  let jar;
+  if (stored.jar) {
+    jar = CookieJar.deserializeSync(stored.jar);
   } else {
-    sessionStore[domain].lastUsed = new Date();
+    // Older files only kept the cookies matching the base URL
+    jar = new CookieJar();
+    (stored.cookies || []).forEach(cookieData => {
+      jar.setCookieSync(cookieData, stored.baseUrl);
+    });
   }
-  return sessionStore[domain].jar;
+  return {
+    id: stored.id || null,
+    domain: stored.domain || key,
+    jar,
+    baseUrl: stored.baseUrl,
+    created: new Date(stored.created || stored.lastUsed),
+    lastUsed: new Date(stored.lastUsed),
+    expiresAt: stored.expiresAt ? new Date(stored.expiresAt) : null,
+    authenticated: stored.authenticated || false,
+    credentials: stored.credentials || null,
+    owner: stored.owner || null,
+    revision: stored.revision || null
+  };
 }
 
-// Perform automated login
-async function performLogin(jar, baseUrl, auth) {
-  const axiosInstance = cookieJarSupport(axios.create({ jar }));
+// What a session persists, without lastUsed and the cookies' access times, to tell whether it changed
+function sessionState(session) {
+  const jar = session.jar.serializeSync();
+  jar.cookies = jar.cookies.map(({ lastAccessed, ...cookie }) => cookie);
+  return JSON.stringify({
+    baseUrl: session.baseUrl,
+    expiresAt: session.expiresAt ? session.expiresAt.getTime() : null,
+    authenticated: session.authenticated || false,
+    credentials: session.credentials,
+    jar
+  });
+}
 
+// Load a session, reusing the live one unless another process saved a newer revision
+function loadSession(key) {
+  const stored = storage.get('sessions', key);
+  if (!stored) {
+    delete sessionStore[key];
+    return null;
+  }
+  const live = sessionStore[key];
+  if (live && live.revision && live.revision === stored.revision) {
+    return live;
+  }
   try {
-    await axiosInstance.post(`${baseUrl}/${auth.loginPath}`, {
-      username: auth.username,
-      password: auth.password
-    }, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'HTML-to-API-Proxy/1.0'
-      }
-    });
-    console.log(`Automated login successful for ${baseUrl}`);
+    sessionStore[key] = restoreSession(key, stored);
+    sessionStore[key].savedState = sessionState(sessionStore[key]);
+    sessionStore[key].savedAt = Date.now();
   } catch (error) {
-    console.error('Automated login failed:', error.message);
+    console.error(`Error loading session ${key}:`, error);
+    return null;
   }
+  return sessionStore[key];
 }
 
-// Handle pagination by fetching all pages and combining data
-async function handlePagination($, config, axiosInstance) {
-  const baseData = extractData($, config);
-  const { selector, maxPages } = config.pagination;
-  const nextLinks = [];
-
-  // Find all pagination links
-  $(selector).each((i, el) => {
-    const href = $(el).attr('href');
-    if (href && !nextLinks.includes(href)) {
-      nextLinks.push(href);
+function listSessions() {
+  const sessions = {};
+  storage.keys('sessions').forEach(key => {
+    const session = loadSession(key);
+    if (session) {
+      sessions[key] = session;
     }
   });
+  return sessions;
+}
 
-  // Limit to maxPages
-  const pagesToFetch = nextLinks.slice(0, maxPages - 1); // -1 because first page already done
+// Save a session with its cookie jar. Unchanged sessions are rewritten at most once a
+// minute (to keep lastUsed current), not after every request
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
 
-  for (const link of pagesToFetch) {
-    try {
-      const response = await axiosInstance.get(link);
-      const $$ = cheerio.load(response.data);
-      const pageData = extractData($$, config);
-
-      // Combine data (assuming arrays)
-      Object.keys(pageData).forEach(key => {
-        if (Array.isArray(pageData[key]) && Array.isArray(baseData[key])) {
-          baseData[key] = baseData[key].concat(pageData[key]);
-        } else if (typeof pageData[key] === 'string' && baseData[key]) {
-          // For non-arrays, perhaps append or something, but skip for now
-        }
-      });
-    } catch (error) {
-      console.error('Error fetching paginated page:', error.message);
-    }
+function saveSession(session) {
+  const state = sessionState(session);
+  if (state === session.savedState && Date.now() - session.savedAt < SESSION_TOUCH_INTERVAL) {
+    return;
   }
-
-  return baseData;
-}
-
-// Get page content with headless browser for JS execution
-async function getPageWithBrowser(url, jar) {
-  const browser = await puppeteer.launch({
+  session.revision = crypto.randomUUID();
+  session.savedState = state;
+  session.savedAt = Date.now();
+  try {
+    storage.set('sessions', getSessionKey(session.domain, session.id), {
+      id: session.id,
+      domain: session.domain,
+      baseUrl: session.baseUrl,
+      created: session.created.toISOString(),
+      lastUsed: session.lastUsed.toISOString(),
+      expiresAt: session.expiresAt ? session.expiresAt.toISOString() : null,
+      authenticated: session.authenticated || false,
+      credentials: session.credentials,
+      owner: session.owner || null,
+      jar: session.jar.serializeSync(),
+      revision: session.revision
+    });
+  } catch (error) {
+    console.error('Error saving session:', error);
+  }
+}
+
+function deleteSession(key) {
+  delete sessionStore[key];
+  try {
+    storage.delete('sessions', key);
+  } catch (error) {
+    console.error('Error deleting session:', error);
+  }
+}
+
+function getSessionKey(domain, sessionId) {
+  return sessionId ? `${domain}:${sessionId}` : domain;
+}
+
+function hasSessionLapsed(session) {
+  return !!session.expiresAt && session.expiresAt.getTime() <= Date.now();
+}
+
+function createSession(domain, baseUrl, sessionId = null, options = {}) {
+  const session = {
+    id: sessionId,
+    domain,
+    jar: new CookieJar(),
+    baseUrl,
+    created: new Date(),
+    lastUsed: new Date(),
+    expiresAt: sessionId ? new Date(Date.now() + (options.ttl || SESSION_TTL) * 1000) : null,
+    authenticated: false,
+    credentials: options.credentials || null, // encrypted, see encryptCredentials
+    owner: options.owner || null // id of the API key that created the session
+  };
+  sessionStore[getSessionKey(domain, sessionId)] = session;
+  saveSession(session);
+  return session;
+}
+
+// Get or create the session (cookie jar) for a domain and optional client session id
+async function getSession(domain, config, sessionId) {
+  if (sessionId && !/^[\w.-]{1,128}$/.test(sessionId)) {
+    const error = new Error(`Invalid ${SESSION_HEADER} header`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const key = getSessionKey(domain, sessionId);
+  let session = loadSession(key);
+
+  if (session && hasSessionLapsed(session)) {
+    // Report the expiry once; the next request with this id starts a new session
+    deleteSession(key);
+    const error = new Error(`Session ${sessionId} has expired`);
+    error.statusCode = 410;
+    error.code = 'SESSION_EXPIRED';
+    throw error;
+  }
+
+  if (!session) {
+    session = createSession(domain, config.baseUrl, sessionId || null);
+  }
+  session.lastUsed = new Date();
+
+  // Perform automated login if auth is configured and the session is not logged in yet
+  if (config.auth && !session.authenticated) {
+    await authenticateSession(session, config);
+  }
+  return session;
+}
+
+// Log a session in (again), starting from an empty cookie jar
+async function authenticateSession(session, config) {
+  let credentials = null;
+  if (session.credentials) {
+    await loadSessionSecret();
+    if (typeof session.credentials !== 'string') {
+      // Sessions saved before credentials were encrypted hold them in the clear
+      session.credentials = encryptCredentials(session.credentials);
+    }
+    try {
+      credentials = decryptCredentials(session.credentials);
+    } catch (error) {
+      throw createAuthError(`Credentials of session ${session.id} cannot be decrypted (was SESSION_SECRET changed?)`);
+    }
+  }
+
+  session.authenticated = false;
+  session.jar.removeAllCookiesSync();
+  await performLogin(session.jar, config.baseUrl, { ...config.auth, ...credentials });
+  session.authenticated = true;
+  session.loggedInAt = new Date();
+  saveSession(session);
+}
+
+// Remove client sessions past their expiry
+function purgeExpiredSessions() {
+  try {
+    const sessions = storage.entries('sessions');
+    Object.keys(sessions)
+      .filter(key => sessions[key].expiresAt && new Date(sessions[key].expiresAt).getTime() <= Date.now())
+      .forEach(deleteSession);
+  } catch (error) {
+    console.error('Error purging sessions:', error);
+  }
+}
+
+setInterval(purgeExpiredSessions, 60 * 1000);
+
+// Encrypt the credentials of sessions saved before credentials were stored encrypted
+async function encryptStoredCredentials() {
+  const sessions = storage.entries('sessions');
+  const keys = Object.keys(sessions).filter(key => sessions[key] && sessions[key].credentials && typeof sessions[key].credentials === 'object');
+  if (keys.length === 0) {
+    return;
+  }
+  await loadSessionSecret();
+  for (const key of keys) {
+    await storage.update('sessions', key, stored => {
+      if (!stored || !stored.credentials || typeof stored.credentials !== 'object') {
+        return stored || null;
+      }
+      // A new revision makes processes holding the session reload it
+      return { ...stored, credentials: encryptCredentials(stored.credentials), revision: crypto.randomUUID() };
+    });
+  }
+}
+
+encryptStoredCredentials().catch(error => console.error('Error encrypting session credentials:', error));
+
+function createAuthError(message) {
+  const error = new Error(message);
+  error.statusCode = 502;
+  error.code = 'AUTH_FAILED';
+  return error;
+}
+
+// Perform automated login
+async function performLogin(jar, baseUrl, auth) {
+  const axiosInstance = cookieJarSupport(axios.create({ jar }));
+  const loginUrl = `${baseUrl}/${auth.loginPath}`;
+  const formSpec = auth.form || { selector: 'form:has(input[type="password"])' };
+
+  let response;
+  try {
+    const page = await axiosInstance.get(loginUrl, {
+      headers: { 'User-Agent': 'HTML-to-API-Proxy/1.0' }
+    });
+    const $page = cheerio.load(page.data);
+
+    if (selectForm($page, formSpec).length > 0) {
+      const submission = await submitForm(axiosInstance, loginUrl, formSpec, ($, $form) => {
+        const { usernameField, passwordField } = detectLoginFields($, $form, auth);
+        return {
+          ...auth.extraFields,
+          [usernameField]: auth.username,
+          [passwordField]: auth.password
+        };
+      });
+      response = submission.response;
+    } else {
+      // No login form on the page: post the credentials directly
+      response = await axiosInstance.post(loginUrl, new URLSearchParams({
+        ...auth.extraFields,
+        [auth.usernameField || 'username']: auth.username,
+        [auth.passwordField || 'password']: auth.password
+      }).toString(), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': 'HTML-to-API-Proxy/1.0'
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Automated login failed:', error.message);
+    throw createAuthError(`Login request to ${loginUrl} failed: ${error.message}`);
+  }
+
+  const finalUrl = getResponseUrl(response) || loginUrl;
+  if (!isLoginSuccessful(cheerio.load(response.data), finalUrl, auth)) {
+    console.error(`Automated login rejected for ${baseUrl}`);
+    throw createAuthError(`Login to ${loginUrl} was rejected by the site`);
+  }
+
+  console.log(`Automated login successful for ${baseUrl}`);
+}
+
+// Final URL of an axios response after following redirects
+function getResponseUrl(response) {
+  return response.request && response.request.res && response.request.res.responseUrl;
+}
+
+// URL of page `index` (0 is the first page) for the page and offset strategies
+function buildPageUrl(url, pagination, index) {
+  const pageUrl = new URL(url);
+  if (pagination.strategy === 'page') {
+    const start = pagination.start !== undefined ? pagination.start : 1;
+    pageUrl.searchParams.set(pagination.param, String(start + index));
+  } else {
+    const start = pagination.start !== undefined ? pagination.start : 0;
+    pageUrl.searchParams.set(pagination.param, String(start + index * pagination.step));
+  }
+  return pageUrl.href;
+}
+
+// Absolute URL of a link, resolved against the page it was found on
+function resolvePageLink(href, pageUrl) {
+  if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+    return null;
+  }
+  try {
+    return new URL(href, pageUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether extracted data holds any items, used to stop at the first empty page
+function hasPageItems(data) {
+  return Object.keys(data).some(key => {
+    const value = data[key];
+    if (key === 'forms') {
+      return false;
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return value !== null && typeof value === 'object' && hasPageItems(value);
+  });
+}
+
+// Merge the data of a following page: arrays are concatenated, objects merged
+// recursively and values the first page already had are kept
+function mergePageData(base, next) {
+  const merged = { ...base };
+  Object.keys(next).forEach(key => {
+    const value = next[key];
+    const current = merged[key];
+    if (key === 'forms') {
+      return;
+    }
+    if (Array.isArray(current) && Array.isArray(value)) {
+      merged[key] = current.concat(value);
+    } else if (current && value && typeof current === 'object' && typeof value === 'object' && !Array.isArray(current) && !Array.isArray(value)) {
+      merged[key] = mergePageData(current, value);
+    } else if (current === undefined || current === null || current === '') {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+// Handle pagination by fetching the following pages and combining their data.
+// loadPage(url) resolves to the HTML of a page.
+async function handlePagination(data, $, pageUrl, config, loadPage) {
+  const { selector, maxPages } = config.pagination;
+  const strategy = config.pagination.strategy || 'links';
+  const fetched = [pageUrl];
+  let pages = 1;
+
+  const fetchNext = async url => {
+    const $$ = cheerio.load(await loadPage(url));
+    fetched.push(url);
+    return { $$, pageData: extractData($$, config) };
+  };
+
+  if (strategy === 'links') {
+    // Every pagination link on the first page, relative links resolved
+    const links = [];
+    $(selector).each((i, el) => {
+      const link = resolvePageLink($(el).attr('href'), pageUrl);
+      if (link && link !== pageUrl && !links.includes(link)) {
+        links.push(link);
+      }
+    });
+
+    for (const link of links.slice(0, maxPages - 1)) { // -1 because first page already done
+      try {
+        const { pageData } = await fetchNext(link);
+        data = mergePageData(data, pageData);
+        pages++;
+      } catch (error) {
+        console.error('Error fetching paginated page:', error.message);
+      }
+    }
+  } else if (strategy === 'next') {
+    // Follow the next-page link until there is none (or it loops back)
+    let $current = $;
+    let currentUrl = pageUrl;
+    while (fetched.length < maxPages) {
+      const next = resolvePageLink($current(selector).first().attr('href'), currentUrl);
+      if (!next || fetched.includes(next)) {
+        break;
+      }
+      try {
+        const { $$, pageData } = await fetchNext(next);
+        data = mergePageData(data, pageData);
+        pages++;
+        $current = $$;
+        currentUrl = next;
+      } catch (error) {
+        console.error('Error fetching paginated page:', error.message);
+        break;
+      }
+    }
+  } else if (strategy === 'page' || strategy === 'offset') {
+    // Count the page/offset parameter up until a page comes back empty
+    for (let index = 1; index < maxPages; index++) {
+      try {
+        const { pageData } = await fetchNext(buildPageUrl(pageUrl, config.pagination, index));
+        if (!hasPageItems(pageData)) {
+          break;
+        }
+        data = mergePageData(data, pageData);
+        pages++;
+      } catch (error) {
+        console.error('Error fetching paginated page:', error.message);
+        break;
+      }
+    }
+  }
+
+  return { data, pages };
+}
+
+// Pagination cursors are signed so clients cannot point the proxy at arbitrary URLs.
+// The secret is shared through storage so every process accepts the same cursors.
+let cursorSecret = process.env.CURSOR_SECRET || null;
+
+// Load (or create) the shared secret; call before encoding or decoding cursors
+async function loadCursorSecret() {
+  if (!cursorSecret) {
+    cursorSecret = await storage.update('settings', 'cursorSecret', secret => secret || crypto.randomBytes(32).toString('hex'));
+  }
+  return cursorSecret;
+}
+
+const { encodeCursor, decodeCursor } = createCursorCodec(() => cursorSecret);
+
+// Infinite scroll: scroll to the bottom until no new items load, up to maxPages - 1 times.
+// Growth is measured by the number of elements matching selector, or the page height.
+async function scrollForMore(page, pagination) {
+  const measure = () => page.evaluate(selector => (
+    selector ? document.querySelectorAll(selector).length : document.body.scrollHeight
+  ), pagination.selector || null);
+
+  let previous = await measure();
+  let pages = 1;
+  while (pages < pagination.maxPages) {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await new Promise(resolve => setTimeout(resolve, pagination.delay !== undefined ? pagination.delay : 1000));
+    const current = await measure();
+    if (current === previous) {
+      break;
+    }
+    previous = current;
+    pages++;
+  }
+  return pages;
+}
+
+// Headless browser pool: long-lived browsers shared by all browser-mode requests.
+// Every request gets a fresh incognito context, so cookies never leak between sessions.
+const BROWSER_POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 1;
+const BROWSER_MAX_CONCURRENCY = parseInt(process.env.BROWSER_MAX_CONCURRENCY) || 4;
+const BROWSER_MAX_QUEUE = parseInt(process.env.BROWSER_MAX_QUEUE) || 100;
+const BROWSER_QUEUE_TIMEOUT = parseInt(process.env.BROWSER_QUEUE_TIMEOUT) || 30000;
+const BROWSER_RECYCLE_AFTER = parseInt(process.env.BROWSER_RECYCLE_AFTER) || 200; // pages per browser
+
+const browserPool = {
+  browsers: [], // { id, ready, active, leases, retiring }
+  queue: [], // requests waiting for a free page slot
+  active: 0,
+  closing: false,
+  nextId: 1,
+  stats: { launched: 0, recycled: 0, crashed: 0, pagesServed: 0, queueTimeouts: 0, rejected: 0 }
+};
+
+function createPoolError(message) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  error.code = 'BROWSER_POOL_BUSY';
+  return error;
+}
+
+function launchPooledBrowser() {
+  const entry = { id: browserPool.nextId++, ready: null, active: 0, leases: 0, retiring: false };
+  entry.ready = puppeteer.launch({
     headless: true,
     args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  }).then(browser => {
+    browser.on('disconnected', () => {
+      if (!entry.retiring) {
+        browserPool.stats.crashed++;
+        console.error(`Pooled browser ${entry.id} disconnected, it will be replaced`);
+      }
+      removePooledBrowser(entry);
+    });
+    return browser;
+  });
+  entry.ready.catch(() => removePooledBrowser(entry));
+  browserPool.browsers.push(entry);
+  browserPool.stats.launched++;
+  return entry;
+}
+
+function removePooledBrowser(entry) {
+  entry.retiring = true;
+  browserPool.browsers = browserPool.browsers.filter(candidate => candidate !== entry);
+}
+
+function closePooledBrowser(entry) {
+  removePooledBrowser(entry);
+  return entry.ready.then(browser => browser.close()).catch(() => {});
+}
+
+// Lease the least busy live browser, launching another one while the pool is below its size.
+// A browser that reached BROWSER_RECYCLE_AFTER leases takes no new pages and closes once idle.
+function leasePooledBrowser() {
+  const live = browserPool.browsers.filter(entry => !entry.retiring);
+  const entry = live.length < BROWSER_POOL_SIZE
+    ? launchPooledBrowser()
+    : live.reduce((best, candidate) => (candidate.active < best.active ? candidate : best));
+  entry.active++;
+  entry.leases++;
+  if (entry.leases >= BROWSER_RECYCLE_AFTER) {
+    browserPool.stats.recycled++;
+    removePooledBrowser(entry);
+  }
+  return entry;
+}
+
+// Wait for one of the BROWSER_MAX_CONCURRENCY page slots
+function acquireBrowserSlot() {
+  if (browserPool.closing) {
+    return Promise.reject(createPoolError('Browser pool is shutting down'));
+  }
+  if (browserPool.active < BROWSER_MAX_CONCURRENCY) {
+    browserPool.active++;
+    return Promise.resolve();
+  }
+  if (browserPool.queue.length >= BROWSER_MAX_QUEUE) {
+    browserPool.stats.rejected++;
+    return Promise.reject(createPoolError('Browser pool queue is full'));
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      browserPool.queue = browserPool.queue.filter(candidate => candidate !== waiter);
+      browserPool.stats.queueTimeouts++;
+      reject(createPoolError('Timed out waiting for a browser'));
+    }, BROWSER_QUEUE_TIMEOUT);
+    browserPool.queue.push(waiter);
   });
+}
+
+// Hand the slot to the next queued request, or free it
+function releaseBrowserSlot() {
+  const next = browserPool.queue.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    browserPool.active--;
+  }
+}
 
+// Run fn(page) in a fresh incognito context of a pooled browser
+async function withBrowserPage(fn) {
+  await acquireBrowserSlot();
+  let entry = null;
+  let context = null;
   try {
-    const page = await browser.newPage();
+    entry = leasePooledBrowser();
+    const browser = await entry.ready;
+    context = await browser.createIncognitoBrowserContext();
+    const page = await context.newPage();
+    return await fn(page);
+  } finally {
+    if (context) {
+      await context.close().catch(() => {});
+      browserPool.stats.pagesServed++;
+    }
+    if (entry) {
+      entry.active--;
+      if (entry.retiring && entry.active === 0) {
+        closePooledBrowser(entry);
+      }
+    }
+    releaseBrowserSlot();
+  }
+}
+
+function getBrowserPoolStats() {
+  return {
+    browsers: browserPool.browsers.length,
+    maxBrowsers: BROWSER_POOL_SIZE,
+    activePages: browserPool.active,
+    maxConcurrency: BROWSER_MAX_CONCURRENCY,
+    queued: browserPool.queue.length,
+    ...browserPool.stats
+  };
+}
+
+// Stop taking browser work, let running pages finish (up to timeout ms) and close the browsers
+async function closeBrowserPool(timeout = 10000) {
+  browserPool.closing = true;
+  browserPool.queue.splice(0).forEach(waiter => {
+    clearTimeout(waiter.timer);
+    waiter.reject(createPoolError('Browser pool is shutting down'));
+  });
+  const deadline = Date.now() + timeout;
+  while (browserPool.active > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  await Promise.all(browserPool.browsers.slice().map(closePooledBrowser));
+}
+
+// Fill {{name}} placeholders of a step value from the request fields
+function fillStepValue(value, fields) {
+  if (Array.isArray(value)) {
+    return value.map(item => fillStepValue(item, fields));
+  }
+  return String(value).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => (fields[name] !== undefined ? String(fields[name]) : ''));
+}
+
+// Run the browserSteps of a config on a loaded page.
+// Returns a log of the steps and the values of evaluate steps with an `as` name.
+async function runBrowserSteps(page, steps, fields = {}) {
+  const log = [];
+  const values = {};
+
+  for (const [index, step] of steps.entries()) {
+    const timeout = step.timeout !== undefined ? step.timeout : 30000;
+    const started = Date.now();
+    try {
+      switch (step.action) {
+        case 'waitForSelector':
+          await page.waitForSelector(step.selector, { timeout, visible: step.visible || false });
+          break;
+        case 'click':
+          await page.waitForSelector(step.selector, { timeout });
+          if (step.waitForNavigation) {
+            await Promise.all([page.waitForNavigation({ waitUntil: 'networkidle2', timeout }), page.click(step.selector)]);
+          } else {
+            await page.click(step.selector);
+          }
+          break;
+        case 'type':
+          await page.waitForSelector(step.selector, { timeout });
+          if (step.clear) {
+            await page.$eval(step.selector, element => { element.value = ''; });
+          }
+          await page.type(step.selector, fillStepValue(step.value, fields), { delay: step.delay || 0 });
+          break;
+        case 'select':
+          await page.waitForSelector(step.selector, { timeout });
+          await page.select(step.selector, ...[].concat(fillStepValue(step.value, fields)));
+          break;
+        case 'scroll':
+          // Scroll an element into view, or the window down by one screen, `times` times
+          for (let i = 0; i < (step.times || 1); i++) {
+            await page.evaluate(selector => {
+              const element = selector && document.querySelector(selector);
+              if (element) {
+                element.scrollIntoView();
+              } else {
+                window.scrollBy(0, window.innerHeight);
+              }
+            }, step.selector || null);
+            await new Promise(resolve => setTimeout(resolve, step.delay !== undefined ? step.delay : 500));
+          }
+          break;
+        case 'waitForNetworkIdle':
+          await page.waitForNetworkIdle({ idleTime: step.idleTime !== undefined ? step.idleTime : 500, timeout });
+          break;
+        case 'evaluate': {
+          const value = await page.evaluate(step.script);
+          if (step.as) {
+            values[step.as] = value === undefined ? null : value;
+          }
+          break;
+        }
+        case 'fillForm':
+          // Set the inputs of a form (selector and index, first form by default) from the request fields, by name
+          await page.waitForSelector(step.selector || 'form', { timeout });
+          await page.evaluate((selector, formIndex, formFields) => {
+            const form = document.querySelectorAll(selector)[formIndex];
+            Object.keys(formFields).forEach(name => {
+              form.querySelectorAll(`[name="${CSS.escape(name)}"]`).forEach(input => {
+                const value = formFields[name];
+                if (input.type === 'checkbox' || input.type === 'radio') {
+                  input.checked = [].concat(value).map(String).includes(input.value) || value === true || value === 'on';
+                } else {
+                  input.value = value;
+                }
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+              });
+            });
+          }, step.selector || 'form', step.index || 0, fields);
+          break;
+        case 'submit': {
+          const submit = page.evaluate((selector, formIndex) => {
+            const form = document.querySelectorAll(selector)[formIndex];
+            if (form.requestSubmit) {
+              form.requestSubmit();
+            } else {
+              form.submit();
+            }
+          }, step.selector || 'form', step.index || 0);
+          if (step.waitForNavigation !== false) {
+            await Promise.all([page.waitForNavigation({ waitUntil: 'networkidle2', timeout }), submit]);
+          } else {
+            await submit;
+          }
+          break;
+        }
+      }
+      log.push({ action: step.action, selector: step.selector || null, status: 'ok', time: Date.now() - started });
+    } catch (error) {
+      if (!step.optional) {
+        const stepError = new Error(`Browser step ${index} (${step.action}${step.selector ? ` ${step.selector}` : ''}) failed: ${error.message}`);
+        stepError.statusCode = 502;
+        stepError.code = 'BROWSER_STEP_FAILED';
+        stepError.step = index;
+        throw stepError;
+      }
+      log.push({ action: step.action, selector: step.selector || null, status: 'skipped', time: Date.now() - started, error: error.message });
+    }
+  }
+
+  return { steps: log, values };
+}
+
+// Apply the map of a capture rule to one captured JSON payload
+function mapCapturedJson(payload, map, config) {
+  if (!map) {
+    return payload;
+  }
+  const mapped = {};
+  Object.keys(map).forEach(key => {
+    const spec = typeof map[key] === 'string' ? { path: map[key] } : map[key];
+    let value = evaluateJsonPath(payload, spec.path);
+    if (spec.transforms) {
+      value = Array.isArray(value)
+        ? value.map(item => applyTransforms(item, spec.transforms, config))
+        : applyTransforms(value, spec.transforms, config);
+    }
+    mapped[key] = value;
+  });
+  return mapped;
+}
+
+// Does a browser response match a capture rule (URL substring or /regex/, optional method)
+function matchesCaptureRule(rule, response) {
+  const request = response.request();
+  if (!['xhr', 'fetch'].includes(request.resourceType())) {
+    return false;
+  }
+  if (rule.method && request.method() !== rule.method) {
+    return false;
+  }
+  const regex = rule.url.match(/^\/(.+)\/([imsu]*)$/);
+  return regex ? new RegExp(regex[1], regex[2]).test(response.url()) : response.url().includes(rule.url);
+}
+
+// Get page content with headless browser for JS execution, after running the scripted steps.
+// Returns { html, finalUrl, steps, values, captured }.
+async function getPageWithBrowser(url, jar, options = {}) {
+  return withBrowserPage(async page => {
+    // Collect JSON responses of background requests matching the capture rules
+    const rules = options.capture ? options.capture.responses : [];
+    const captured = {};
+    const seen = {};
+    const pending = [];
+    if (rules.length > 0) {
+      page.on('response', response => {
+        rules.filter(rule => matchesCaptureRule(rule, response)).forEach(rule => {
+          seen[rule.name] = true;
+          pending.push(response.json().then(json => {
+            if (rule.all) {
+              (captured[rule.name] = captured[rule.name] || []).push(json);
+            } else {
+              captured[rule.name] = json;
+            }
+          }).catch(() => {})); // Not JSON
+        });
+      });
+    }
 
     // Set cookies from jar
     const cookies = jar.getCookiesSync(url);
@@ -326,372 +1801,3017 @@ async function getPageWithBrowser(url, jar) {
       });
     }
 
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    const scripted = options.steps && options.steps.length > 0
+      ? await runBrowserSteps(page, options.steps, options.fields)
+      : null;
+    const scrolledPages = options.scroll ? await scrollForMore(page, options.scroll) : null;
+
+    // Give late background requests of rules with `wait` a chance to arrive
+    for (const rule of rules.filter(candidate => candidate.wait && !seen[candidate.name])) {
+      await page.waitForResponse(response => matchesCaptureRule(rule, response), { timeout: rule.timeout !== undefined ? rule.timeout : 10000 })
+        .catch(() => {});
+    }
+    await Promise.all(pending);
+
     const content = await page.content();
 
-    // Get cookies back to jar
-    const pageCookies = await page.cookies();
-    for (const cookie of pageCookies) {
-      jar.setCookieSync(`${cookie.name}=${cookie.value}; Domain=${cookie.domain}; Path=${cookie.path}`, url);
-    }
+    // Get cookies back to jar
+    const pageCookies = await page.cookies();
+    for (const cookie of pageCookies) {
+      jar.setCookieSync(`${cookie.name}=${cookie.value}; Domain=${cookie.domain}; Path=${cookie.path}`, url);
+    }
+
+    return {
+      html: content,
+      status: response ? response.status() : 200,
+      finalUrl: page.url(),
+      steps: scripted ? scripted.steps : null,
+      values: scripted ? scripted.values : null,
+      captured: rules.length > 0 ? captured : null,
+      pages: scrolledPages
+    };
+  });
+}
+
+// Cache management functions
+function getCacheKey(domain, path, method = 'GET', query = {}, headers = {}) {
+  const queryString = serializeQuery(query);
+  const headerString = serializeQuery(headers);
+  return `${method}:${domain}:${path}${queryString ? `?${queryString}` : ''}${headerString ? `#${headerString}` : ''}`;
+}
+
+// Cache lifetimes (seconds) used when neither the configuration nor the upstream sets one
+const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 300;
+const CACHE_STALE_IF_ERROR = parseInt(process.env.CACHE_STALE_IF_ERROR) || 3600;
+const { getCacheLifetime } = createCacheLifetime({ ttl: CACHE_TTL, staleIfError: CACHE_STALE_IF_ERROR });
+
+// Cached responses live in the "cache" namespace as
+// { domain, path, data, storedAt, expires, staleUntil, errorUntil, etag, lastModified }
+function getCachedResponse(key) {
+  try {
+    const entry = storage.get('cache', key);
+    if (!entry || !entry.storedAt) {
+      return null;
+    }
+    if (Math.max(entry.staleUntil, entry.errorUntil) <= Date.now()) {
+      storage.delete('cache', key);
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    console.error('Error reading cache:', error);
+    return null;
+  }
+}
+
+function setCachedResponse(key, entry, lifetime, validators = {}) {
+  const storedAt = Date.now();
+  const expires = storedAt + lifetime.ttl * 1000;
+  const cached = {
+    ...entry,
+    storedAt,
+    expires,
+    staleUntil: expires + lifetime.staleWhileRevalidate * 1000,
+    errorUntil: expires + lifetime.staleIfError * 1000,
+    etag: validators.etag || null,
+    lastModified: validators.lastModified || null
+  };
+  try {
+    storage.set('cache', key, cached);
+  } catch (error) {
+    console.error('Error writing cache:', error);
+  }
+  return cached;
+}
+
+// Attach cache information to a cached result (status: hit, stale or revalidated)
+function cachedResult(entry, status) {
+  const now = Date.now();
+  return {
+    ...entry.data,
+    cached: true,
+    cache: {
+      status,
+      age: Math.max(0, Math.floor((now - entry.storedAt) / 1000)),
+      maxAge: Math.max(0, Math.floor((entry.expires - now) / 1000))
+    }
+  };
+}
+
+// Expose the cache state to clients with Cache-Control and Age headers
+function setCacheHeaders(res, result, sessionId) {
+  if (!result.cache) {
+    res.set('Cache-Control', 'no-store');
+    return;
+  }
+  // Shared caches must not hand responses to client sessions or API keys to other clients
+  const shared = !sessionId && !res.req.apiKey && !authenticationEnabled();
+  res.set('Cache-Control', `${shared ? 'public' : 'private'}, max-age=${result.cache.maxAge}`);
+  res.set('Age', String(result.cache.age));
+}
+
+// Refresh a stale cache entry once per key while the stale copy is being served
+const revalidating = new Set();
+
+function revalidateInBackground(domain, cacheKey, refresh) {
+  if (revalidating.has(cacheKey)) {
+    return;
+  }
+  revalidating.add(cacheKey);
+  refresh()
+    .then(result => {
+      if (fromUpstream(result)) {
+        recordSuccess(domain);
+      }
+    })
+    .catch(error => {
+      if (isUpstreamFailure(error)) {
+        recordFailure(domain);
+      }
+      console.error(`Background revalidation failed for ${cacheKey}:`, error.message);
+    })
+    .finally(() => revalidating.delete(cacheKey));
+}
+
+// Drop cache entries that can no longer be served, even stale
+function purgeExpiredCache() {
+  try {
+    const entries = storage.entries('cache');
+    Object.keys(entries)
+      .filter(key => !entries[key].storedAt || Math.max(entries[key].staleUntil, entries[key].errorUntil) <= Date.now())
+      .forEach(key => storage.delete('cache', key));
+  } catch (error) {
+    console.error('Error purging cache:', error);
+  }
+}
+
+setInterval(purgeExpiredCache, 60 * 1000);
+
+// Remove the cache entries of a domain (optionally only one API path); returns the number removed
+function purgeCache(domain, path = null) {
+  const entries = storage.entries('cache');
+  const keys = Object.keys(entries).filter(key => {
+    const entry = entries[key];
+    return entry.domain === domain && (path === null || entry.path === path.replace(/^\/+/, ''));
+  });
+  keys.forEach(key => storage.delete('cache', key));
+  return keys.length;
+}
+
+// Fetch the page containing a form, merge its defaults with the client fields and submit it
+async function submitForm(axiosInstance, pageUrl, formSpec, data) {
+  const pageResponse = await axiosInstance.get(pageUrl, {
+    headers: { 'User-Agent': 'HTML-to-API-Proxy/1.0' }
+  });
+  const $ = cheerio.load(pageResponse.data);
+  const $form = selectForm($, formSpec);
+
+  if ($form.length === 0) {
+    const error = new Error(`Form not found on ${pageUrl}`);
+    error.statusCode = 422;
+    throw error;
+  }
+
+  // Callers may compute the fields from the selected form (used by the login flow)
+  const body = typeof data === 'function' ? data($, $form) : (data && (data.body || (data.files ? {} : data))) || {};
+  const files = (data && data.files) || [];
+  const fields = { ...collectFormDefaults($, $form), ...body };
+  const action = new URL($form.attr('action') || '', pageUrl).href;
+  const method = ($form.attr('method') || 'GET').toUpperCase();
+  const enctype = ($form.attr('enctype') || 'application/x-www-form-urlencoded').toLowerCase();
+
+  const axiosConfig = {
+    method,
+    url: action,
+    headers: {
+      'User-Agent': 'HTML-to-API-Proxy/1.0',
+      'Referer': pageUrl
+    }
+  };
+
+  if (method === 'GET') {
+    const actionUrl = new URL(action);
+    Object.keys(fields).forEach(key => actionUrl.searchParams.set(key, fields[key]));
+    axiosConfig.url = actionUrl.href;
+  } else if (enctype === 'multipart/form-data' || files.length > 0) {
+    const form = new FormData();
+    Object.keys(fields).forEach(key => {
+      form.append(key, fields[key]);
+    });
+    files.forEach(file => {
+      form.append(file.fieldname, file.buffer, {
+        filename: file.originalname,
+        contentType: file.mimetype
+      });
+    });
+    axiosConfig.data = form;
+    axiosConfig.headers = { ...axiosConfig.headers, ...form.getHeaders() };
+  } else {
+    axiosConfig.data = new URLSearchParams(fields).toString();
+    axiosConfig.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  }
+
+  const response = await axiosInstance.request(axiosConfig);
+  return {
+    response,
+    form: { page: pageUrl, action: axiosConfig.url, method, enctype }
+  };
+}
+
+// Webhook delivery: events are written to a persistent outbox and delivered with
+// exponential backoff, so receivers that are down do not lose notifications
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000; // doubles per attempt
+const WEBHOOK_MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+const WEBHOOK_RETENTION = (parseInt(process.env.WEBHOOK_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000; // failed deliveries
+const WEBHOOK_DELIVERED_RETENTION = (parseInt(process.env.WEBHOOK_DELIVERED_RETENTION_MINUTES) || 60) * 60 * 1000;
+const WEBHOOK_MAX_OUTBOX = parseInt(process.env.WEBHOOK_MAX_OUTBOX) || 1000;
+
+// Enabled targets of a domain; the legacy webhookUrl keeps receiving results and drift alerts
+function getWebhookTargets(config) {
+  const targets = (config.webhooks || []).filter(target => target.enabled !== false);
+  if (config.webhookUrl && !targets.some(target => target.url === config.webhookUrl)) {
+    targets.push({ url: config.webhookUrl, events: ['success', 'selector-drift'] });
+  }
+  return targets;
+}
+
+function subscribesTo(config, event) {
+  return getWebhookTargets(config).some(target => (target.events || ['success']).includes(event));
+}
+
+// Sign `<timestamp>.<body>` so receivers can verify the sender and reject replays
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Queue an event for every target of the domain subscribed to it
+function emitWebhookEvent(domain, config, event, payload) {
+  getWebhookTargets(config)
+    .filter(target => (target.events || ['success']).includes(event))
+    .forEach(target => queueDelivery({ domain, event, url: target.url, payload: { event, ...payload } }));
+}
+
+// Store a delivery in the outbox and send its first attempt right away
+function queueDelivery(fields) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    ...fields,
+    status: 'pending',
+    attempts: [],
+    nextAttempt: Date.now(),
+    created: new Date().toISOString()
+  };
+  storage.set('webhooks', delivery.id, delivery);
+  attemptDelivery(delivery.id).catch(error => console.error('Webhook delivery error:', error.message));
+  return delivery;
+}
+
+// Take the lock on a due delivery so only one process sends it
+async function claimDelivery(id) {
+  const lock = crypto.randomUUID();
+  const now = Date.now();
+  const claimed = await storage.update('webhooks', id, delivery => {
+    if (!delivery || delivery.status !== 'pending' || delivery.nextAttempt > now || (delivery.lockedUntil && delivery.lockedUntil > now)) {
+      return delivery || null;
+    }
+    return { ...delivery, lock, lockedUntil: now + WEBHOOK_TIMEOUT * 2 };
+  });
+  return claimed && claimed.lock === lock ? claimed : null;
+}
+
+// Send one attempt of a delivery and record its outcome
+async function attemptDelivery(id) {
+  const delivery = await claimDelivery(id);
+  if (!delivery) {
+    return null;
+  }
+
+  // Secrets and extra headers come from the current config, so rotating a secret applies to retries
+  const config = getConfig(delivery.domain);
+  const target = (config && (config.webhooks || []).find(candidate => candidate.url === delivery.url)) || {};
+  const secret = target.secret || WEBHOOK_SECRET;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    ...target.headers,
+    'Content-Type': 'application/json',
+    'User-Agent': 'HTML-to-API-Proxy/1.0',
+    'X-Webhook-Id': delivery.id,
+    'X-Webhook-Event': delivery.payload.event,
+    'X-Webhook-Timestamp': timestamp
+  };
+  if (secret) {
+    headers['X-Webhook-Signature'] = signWebhook(secret, timestamp, body);
+  }
+
+  const started = Date.now();
+  const attempt = { timestamp: new Date(started).toISOString() };
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers,
+      timeout: WEBHOOK_TIMEOUT,
+      maxRedirects: 0,
+      transformRequest: [data => data],
+      validateStatus: () => true
+    });
+    attempt.statusCode = response.status;
+    attempt.success = response.status >= 200 && response.status < 300;
+    if (!attempt.success) {
+      attempt.error = `Receiver responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.success = false;
+    attempt.error = error.message;
+  }
+  attempt.duration = Date.now() - started;
+
+  return storage.update('webhooks', id, current => {
+    if (!current) {
+      return null;
+    }
+    const updated = { ...current, attempts: current.attempts.concat(attempt), lock: null, lockedUntil: null };
+    if (attempt.success) {
+      updated.status = 'delivered';
+      updated.delivered = attempt.timestamp;
+      updated.nextAttempt = null;
+    } else if (updated.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+      updated.status = 'failed';
+      updated.nextAttempt = null;
+      console.error(`Webhook ${delivery.event} to ${delivery.url} failed after ${updated.attempts.length} attempts: ${attempt.error}`);
+    } else {
+      updated.nextAttempt = Date.now() + Math.min(WEBHOOK_RETRY_DELAY * Math.pow(2, updated.attempts.length - 1), WEBHOOK_MAX_RETRY_DELAY);
+    }
+    return updated;
+  });
+}
+
+// Whether a finished delivery is past its retention: delivered ones are only kept briefly,
+// failed ones long enough to be inspected and redelivered
+function isDeliveryExpired(delivery, now) {
+  if (delivery.status === 'delivered') {
+    return now - new Date(delivery.delivered || delivery.created).getTime() > WEBHOOK_DELIVERED_RETENTION;
+  }
+  return delivery.status !== 'pending' && now - new Date(delivery.created).getTime() > WEBHOOK_RETENTION;
+}
+
+// Keep the outbox within WEBHOOK_MAX_OUTBOX deliveries, dropping the oldest finished ones first
+function trimWebhookOutbox(deliveries) {
+  const excess = deliveries.length - WEBHOOK_MAX_OUTBOX;
+  if (excess <= 0) {
+    return;
+  }
+  const rank = delivery => (delivery.status === 'pending' ? 1 : 0);
+  deliveries
+    .sort((a, b) => rank(a) - rank(b) || a.created.localeCompare(b.created))
+    .slice(0, excess)
+    .forEach(delivery => {
+      if (delivery.status === 'pending') {
+        console.error(`Webhook outbox full, dropping ${delivery.event} to ${delivery.url}`);
+      }
+      storage.delete('webhooks', delivery.id);
+    });
+}
+
+// Send due retries, drop expired deliveries and keep the outbox within its size limit
+let webhookWorkerRunning = false;
+
+async function processWebhookOutbox() {
+  if (webhookWorkerRunning || shuttingDown) {
+    return;
+  }
+  webhookWorkerRunning = true;
+  try {
+    const now = Date.now();
+    const deliveries = storage.entries('webhooks');
+    const remaining = [];
+    for (const id of Object.keys(deliveries)) {
+      let delivery = deliveries[id];
+      if (!delivery || isDeliveryExpired(delivery, now)) {
+        storage.delete('webhooks', id);
+        continue;
+      }
+      if (delivery.status === 'pending' && delivery.nextAttempt <= now) {
+        delivery = (await attemptDelivery(id)) || delivery;
+      }
+      remaining.push(delivery);
+    }
+    trimWebhookOutbox(remaining);
+  } catch (error) {
+    console.error('Webhook outbox error:', error.message);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+setInterval(processWebhookOutbox, 5 * 1000);
+
+// Delivery summary without the payload, for listings
+function summarizeDelivery(delivery) {
+  const last = delivery.attempts[delivery.attempts.length - 1];
+  return {
+    id: delivery.id,
+    domain: delivery.domain,
+    event: delivery.event,
+    url: delivery.url,
+    status: delivery.status,
+    attempts: delivery.attempts.length,
+    lastStatusCode: last ? last.statusCode : null,
+    lastError: last ? last.error || null : null,
+    nextAttempt: delivery.nextAttempt ? new Date(delivery.nextAttempt).toISOString() : null,
+    created: delivery.created,
+    delivered: delivery.delivered || null,
+    redeliveryOf: delivery.redeliveryOf || null
+  };
+}
+
+// Emit data-changed when the extracted data of a GET differs from the last time it was fetched
+async function detectDataChange(domain, config, key, result) {
+  if (!subscribesTo(config, 'data-changed')) {
+    return;
+  }
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify(result.data)).digest('hex');
+  const stored = storage.get('fingerprints', key);
+  if (stored && stored.fingerprint === fingerprint) {
+    return; // Unchanged, nothing to write
+  }
+  let previous;
+  await storage.update('fingerprints', key, current => {
+    previous = current;
+    return { fingerprint, timestamp: result.timestamp };
+  });
+  if (previous && previous.fingerprint !== fingerprint) {
+    emitWebhookEvent(domain, config, 'data-changed', { ...result, previousTimestamp: previous.timestamp });
+  }
+}
+
+// Notify error subscribers about a failed API call
+function emitRequestError(domain, config, method, path, error) {
+  if (!subscribesTo(config, 'error')) {
+    return;
+  }
+  emitWebhookEvent(domain, config, 'error', {
+    domain,
+    method,
+    path,
+    error: error.message,
+    code: error.code || null,
+    statusCode: error.statusCode || 500,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Enhanced API call with caching
+async function makeAPICall(domain, path, method = 'GET', data = null, config, options = {}) {
+  const apiPath = path;
+  const domainConfig = config;
+
+  // Map named routes onto their upstream paths
+  const routeMatch = resolveRoute(config, method, path);
+  if (routeMatch) {
+    config = routeMatch.config;
+    path = routeMatch.upstreamPath;
+  } else if (config.routesOnly) {
+    const error = new Error(`No route matches ${method} ${path}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Cursor-paginated endpoints take the client's cursor from the query instead of forwarding it
+  const pagination = method === 'GET' ? config.pagination : null;
+  const clientQuery = { ...options.query };
+  const cursorToken = pagination && pagination.mode === 'cursor' ? clientQuery.cursor : undefined;
+  if (pagination && pagination.mode === 'cursor') {
+    delete clientQuery.cursor;
+    await loadCursorSecret();
+  }
+  const cursor = cursorToken !== undefined ? decodeCursor(cursorToken, domain, apiPath) : null;
+
+  const query = mapQuery(clientQuery, config.query);
+  const cacheConfig = config.cache || {};
+  const cacheEnabled = method === 'GET' && cacheConfig.enabled !== false;
+
+  // Headers listed in cache.vary are forwarded upstream and become part of the cache key
+  const varyHeaders = {};
+  (cacheConfig.vary || []).forEach(name => {
+    const value = options.headers && options.headers[name.toLowerCase()];
+    if (value !== undefined) {
+      varyHeaders[name.toLowerCase()] = value;
+    }
+  });
+
+  // Client sessions may see personalised pages, so they never share cache entries
+  const cacheKey = getCacheKey(
+    options.sessionId ? `${domain}:${options.sessionId}` : domain,
+    apiPath,
+    method,
+    cursorToken !== undefined ? { ...query, cursor: cursorToken } : query,
+    varyHeaders
+  );
+  const cachedEntry = cacheEnabled && !options.noCache ? getCachedResponse(cacheKey) : null;
+
+  // A fresh copy does not need the upstream, so it is served whatever the circuit breaker state
+  if (cachedEntry && !options.revalidate && cachedEntry.expires > Date.now()) {
+    return cachedResult(cachedEntry, 'hit');
+  }
+
+  // Check circuit breaker, serving stale data while it is open
+  if (!canProceed(domain)) {
+    if (cachedEntry && cachedEntry.errorUntil > Date.now()) {
+      return cachedResult(cachedEntry, 'stale');
+    }
+    throw new Error('Circuit breaker is open for this domain');
+  }
+
+  // Serve the stale copy and refresh it in the background
+  if (cachedEntry && !options.revalidate && cachedEntry.staleUntil > Date.now()) {
+    revalidateInBackground(domain, cacheKey, () => makeAPICall(domain, apiPath, method, data, domainConfig, { ...options, revalidate: true }));
+    return cachedResult(cachedEntry, 'stale');
+  }
+
+  const upstreamUrl = new URL(`${config.baseUrl}/${path}`);
+  Object.keys(query).forEach(key => {
+    [].concat(query[key]).forEach(value => upstreamUrl.searchParams.append(key, String(value)));
+  });
+  // A cursor points at a later page: the next-page link it carries or a page/offset number
+  let url = upstreamUrl.href;
+  if (cursor) {
+    url = pagination.strategy === 'next' ? cursor.url : buildPageUrl(url, pagination, cursor.page);
+  }
+  const session = await getSession(domain, config, options.sessionId);
+  const jar = session.jar;
+  const axiosInstance = cookieJarSupport(axios.create({ jar }));
+
+  // Configure retry logic with exponential backoff
+  axiosRetry(axiosInstance, {
+    retries: 3,
+    retryDelay: axiosRetry.exponentialDelay,
+    retryCondition: (error) => {
+      return axiosRetry.isNetworkOrIdempotentRequestError(error) || error.code === 'ECONNRESET';
+    }
+  });
+
+  // Fetch the upstream page (browser, form submission or plain request)
+  const fetchPage = async () => {
+    if (method === 'GET' && config.useBrowser) {
+      // Use headless browser for JS execution
+      return getPageWithBrowser(url, jar, {
+        steps: config.browserSteps,
+        fields: query,
+        capture: config.capture,
+        scroll: pagination && pagination.strategy === 'scroll' ? pagination : null
+      });
+    } else if (method === 'POST' && config.useBrowser) {
+      // Fill and submit the form in the browser (or run form.steps) with the posted fields
+      const pageUrl = config.form && config.form.page !== undefined ? `${config.baseUrl}/${config.form.page}` : url;
+      const formStep = formSpecToStep(config.form);
+      const steps = config.form && config.form.steps
+        ? config.form.steps
+        : [{ action: 'fillForm', ...formStep }, { action: 'submit', ...formStep }];
+      return getPageWithBrowser(pageUrl, jar, { steps, fields: (data && data.body) || data || {}, capture: config.capture });
+    } else if (method === 'POST' && config.form) {
+      // Submit through the real form so hidden fields and CSRF tokens are included
+      const pageUrl = config.form.page !== undefined ? `${config.baseUrl}/${config.form.page}` : url;
+      const submission = await submitForm(axiosInstance, pageUrl, config.form, data);
+      return {
+        html: submission.response.data,
+        status: submission.response.status,
+        finalUrl: getResponseUrl(submission.response),
+        form: submission.form
+      };
+    } else {
+      // Use axios for regular requests
+      const axiosConfig = {
+        method,
+        url,
+        headers: {
+          'User-Agent': 'HTML-to-API-Proxy/1.0',
+          ...varyHeaders
+        }
+      };
+
+      // Revalidate an expired cache entry with a conditional request
+      if (cachedEntry && (cachedEntry.etag || cachedEntry.lastModified)) {
+        if (cachedEntry.etag) {
+          axiosConfig.headers['If-None-Match'] = cachedEntry.etag;
+        }
+        if (cachedEntry.lastModified) {
+          axiosConfig.headers['If-Modified-Since'] = cachedEntry.lastModified;
+        }
+        axiosConfig.validateStatus = status => (status >= 200 && status < 300) || status === 304;
+      }
+
+      if (method === 'POST' && data) {
+        if (data.files && data.files.length > 0) {
+          // Handle file uploads
+          const form = new FormData();
+
+          // Add form fields
+          Object.keys(data.body || {}).forEach(key => {
+            form.append(key, data.body[key]);
+          });
+
+          // Add files
+          data.files.forEach(file => {
+            form.append(file.fieldname, file.buffer, {
+              filename: file.originalname,
+              contentType: file.mimetype
+            });
+          });
+
+          axiosConfig.data = form;
+          axiosConfig.headers = { ...axiosConfig.headers, ...form.getHeaders() };
+        } else {
+          // Regular form data
+          axiosConfig.data = data.body || data;
+          axiosConfig.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        }
+      }
+
+      const response = await axiosInstance.request(axiosConfig);
+      return { html: response.data, status: response.status, finalUrl: getResponseUrl(response), headers: response.headers };
+    }
+  };
+
+  let page = await fetchPage();
+
+  // Not modified: keep the cached data with a renewed lifetime
+  if (page.status === 304) {
+    saveSession(session);
+    const lifetime = getCacheLifetime(cacheConfig, page.headers, !options.sessionId) || getCacheLifetime(cacheConfig, null);
+    const entry = setCachedResponse(cacheKey, { domain, path: apiPath, data: cachedEntry.data }, lifetime, {
+      etag: page.headers.etag || cachedEntry.etag,
+      lastModified: page.headers['last-modified'] || cachedEntry.lastModified
+    });
+    return cachedResult(entry, 'revalidated');
+  }
+
+  let $ = cheerio.load(page.html);
+
+  // Log in again and retry once when the upstream session has expired
+  if (config.auth && isSessionExpired($, page.finalUrl, url, config)) {
+    console.log(`Session expired for ${domain}, re-authenticating`);
+    await authenticateSession(session, config);
+    page = await fetchPage();
+    $ = cheerio.load(page.html);
+    if (isSessionExpired($, page.finalUrl, url, config)) {
+      throw createAuthError('Upstream session expired and re-authentication did not restore it');
+    }
+  }
+
+  // Persist cookies the upstream set so other processes share the session
+  saveSession(session);
+
+  const extraction = { version: null, selectors: {} };
+  let extractedData = extractData($, config, extraction);
+
+  if (method === 'GET' && extractedData.forms.length > 0) {
+    discoveredForms[domain] = discoveredForms[domain] || {};
+    discoveredForms[domain][apiPath] = { pageUrl: url, forms: extractedData.forms };
+  }
+
+  // Handle pagination if configured
+  let paginationInfo = null;
+  if (pagination && pagination.mode === 'cursor') {
+    // One page per request; the cursor leads to the next one
+    const index = cursor ? cursor.page : 0;
+    let next = null;
+    if (pagination.strategy === 'next') {
+      const nextUrl = resolvePageLink($(pagination.selector).first().attr('href'), page.finalUrl || url);
+      if (nextUrl && nextUrl !== url) {
+        next = encodeCursor({ domain, path: apiPath, page: index + 1, url: nextUrl });
+      }
+    } else if (hasPageItems(extractedData)) {
+      next = encodeCursor({ domain, path: apiPath, page: index + 1 });
+    }
+    paginationInfo = { strategy: pagination.strategy, mode: 'cursor', page: index + 1, next };
+  } else if (pagination && pagination.strategy === 'scroll') {
+    paginationInfo = { strategy: 'scroll', mode: 'merge', pages: page.pages || 1 };
+  } else if (pagination) {
+    const loadPage = async pageUrl => {
+      if (config.useBrowser) {
+        return (await getPageWithBrowser(pageUrl, jar, { steps: config.browserSteps, fields: query })).html;
+      }
+      return (await axiosInstance.get(pageUrl, { headers: { 'User-Agent': 'HTML-to-API-Proxy/1.0', ...varyHeaders } })).data;
+    };
+    const paged = await handlePagination(extractedData, $, page.finalUrl || url, config, loadPage);
+    extractedData = paged.data;
+    paginationInfo = { strategy: pagination.strategy || 'links', mode: 'merge', pages: paged.pages };
+  }
+
+  // JSON captured from background requests joins (or replaces) the extracted data
+  if (page.captured) {
+    const captured = {};
+    config.capture.responses.forEach(rule => {
+      const payload = page.captured[rule.name];
+      if (payload === undefined) {
+        if (rule.required) {
+          const error = new Error(`No response matching ${rule.url} was captured for "${rule.name}"`);
+          error.statusCode = 502;
+          error.code = 'CAPTURE_MISSING';
+          throw error;
+        }
+        captured[rule.name] = rule.all ? [] : null;
+        return;
+      }
+      captured[rule.name] = rule.all
+        ? payload.map(item => mapCapturedJson(item, rule.map, config))
+        : mapCapturedJson(payload, rule.map, config);
+    });
+    extractedData = config.capture.mode === 'replace' ? captured : Object.assign(extractedData, captured);
+  }
+
+  // Values returned by evaluate steps with an `as` name join the extracted data
+  if (page.values) {
+    Object.assign(extractedData, page.values);
+  }
+
+  const result = {
+    domain,
+    url,
+    data: extractedData,
+    timestamp: new Date().toISOString(),
+    status: page.status || 200,
+    extraction
+  };
+
+  if (routeMatch) {
+    result.route = config.route;
+    result.params = routeMatch.params;
+  }
+
+  if (page.form) {
+    result.form = page.form;
+  }
+
+  if (paginationInfo) {
+    result.pagination = paginationInfo;
+  }
+
+  if (page.steps) {
+    result.browser = { finalUrl: page.finalUrl, steps: page.steps };
+  }
+
+  // Cache GET responses for as long as the config and the upstream allow
+  if (cacheEnabled) {
+    const headers = page.headers || {};
+    const lifetime = getCacheLifetime(cacheConfig, page.headers, !options.sessionId);
+    if (lifetime) {
+      setCachedResponse(cacheKey, { domain, path: apiPath, data: result }, lifetime, {
+        etag: headers.etag,
+        lastModified: headers['last-modified']
+      });
+      result.cache = { status: 'miss', age: 0, maxAge: lifetime.ttl };
+    }
+  }
+
+  // Notify webhook subscribers
+  emitWebhookEvent(domain, domainConfig, 'success', result);
+  if (method === 'GET') {
+    await detectDataChange(domain, domainConfig, cacheKey, result);
+  }
+
+  return result;
+}
+
+// Dynamic API endpoint generation
+app.get('/api/:domain/*', domainScope('read'), async (req, res) => {
+  const domain = req.params.domain;
+  const path = req.params[0] || '';
+  const config = getConfig(domain);
+
+  if (!config) {
+    recordErrorMetric();
+    return res.status(404).json({ error: `Domain ${domain} not configured` });
+  }
+
+  // ?async=true queues the request as a job and replies with its id right away
+  if (req.query.async === 'true') {
+    const { async, ...query } = req.query;
+    try {
+      return sendJobAccepted(res, enqueueApiJob(domain, path, 'GET', null, { query, sessionId: req.get(SESSION_HEADER), headers: req.headers }, req.apiKey));
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  const start = Date.now();
+  try {
+    const sessionId = req.get(SESSION_HEADER);
+    const result = await makeAPICall(domain, path, 'GET', null, config, { query: req.query, sessionId, headers: req.headers });
+    const end = Date.now();
+    recordRequestMetrics(domain, end - start);
+    if (fromUpstream(result)) {
+      recordSuccess(domain);
+    }
+    setCacheHeaders(res, result, sessionId);
+    res.json(result);
+  } catch (error) {
+    recordErrorMetric();
+    if (isUpstreamFailure(error)) {
+      recordFailure(domain);
+    }
+    emitRequestError(domain, config, 'GET', path, error);
+    console.error('Error fetching page:', error);
+    if (error.code === 'AUTH_FAILED') {
+      return res.status(error.statusCode).json({ error: 'Upstream authentication failed', code: error.code, details: error.message });
+    }
+    res.status(error.statusCode || 500).json({ error: 'Failed to fetch page', code: error.code, details: error.message });
+  }
+});
+
+// POST endpoint for form submissions
+app.post('/api/:domain/*', domainScope('write'), upload.any(), async (req, res) => {
+  const domain = req.params.domain;
+  const path = req.params[0] || '';
+  const config = getConfig(domain);
+
+  if (!config) {
+    recordErrorMetric();
+    return res.status(404).json({ error: `Domain ${domain} not configured` });
+  }
+
+  if (req.query.async === 'true') {
+    const { async, ...query } = req.query;
+    try {
+      const data = { body: req.body, files: req.files || [] };
+      return sendJobAccepted(res, enqueueApiJob(domain, path, 'POST', data, { query, sessionId: req.get(SESSION_HEADER), headers: req.headers }, req.apiKey));
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+    }
+  }
+
+  const start = Date.now();
+  try {
+    const result = await makeAPICall(domain, path, 'POST', req, config, { query: req.query, sessionId: req.get(SESSION_HEADER), headers: req.headers });
+    const end = Date.now();
+    recordRequestMetrics(domain, end - start);
+    if (fromUpstream(result)) {
+      recordSuccess(domain);
+    }
+    setCacheHeaders(res, result);
+    res.json(result);
+  } catch (error) {
+    recordErrorMetric();
+    if (isUpstreamFailure(error)) {
+      recordFailure(domain);
+    }
+    emitRequestError(domain, config, 'POST', path, error);
+    console.error('Error submitting form:', error);
+    if (error.code === 'AUTH_FAILED') {
+      return res.status(error.statusCode).json({ error: 'Upstream authentication failed', code: error.code, details: error.message });
+    }
+    res.status(error.statusCode || 500).json({ error: 'Failed to submit form', code: error.code, details: error.message });
+  }
+});
+
+// Live streams: one shared upstream poller per domain, path and query, pushing the
+// extracted data to SSE and WebSocket subscribers whenever it changes
+const STREAM_POLL_INTERVAL = (parseInt(process.env.STREAM_POLL_INTERVAL) || 30) * 1000;
+const STREAM_HEARTBEAT = (parseInt(process.env.STREAM_HEARTBEAT) || 15) * 1000;
+const STREAM_MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS) || 1000;
+
+const streams = new Map(); // key -> { key, domain, path, query, clients, timer, polling, event, error }
+let streamClientCount = 0;
+
+function getStreamKey(domain, path, query) {
+  return getCacheKey(domain, path, 'GET', query);
+}
+
+// Poll the upstream path and broadcast the data if it differs from the last event
+async function pollStream(stream) {
+  if (stream.polling) {
+    return;
+  }
+  stream.polling = true;
+  try {
+    const config = getConfig(stream.domain);
+    if (!config) {
+      throw new Error(`Domain ${stream.domain} not configured`);
+    }
+    const result = await makeAPICall(stream.domain, stream.path, 'GET', null, config, { query: stream.query });
+    if (fromUpstream(result)) {
+      recordSuccess(stream.domain);
+    }
+
+    // Event ids fingerprint the data, so a reconnecting client that already has it gets nothing new
+    const id = crypto.createHash('sha256').update(JSON.stringify(result.data)).digest('hex').slice(0, 16);
+    stream.error = null;
+    if (!stream.event || stream.event.id !== id) {
+      stream.event = {
+        id,
+        type: 'data',
+        payload: { domain: stream.domain, path: stream.path, url: result.url, timestamp: result.timestamp, data: result.data }
+      };
+      stream.clients.forEach(client => client.send(stream.event));
+    }
+  } catch (error) {
+    if (isUpstreamFailure(error)) {
+      recordFailure(stream.domain);
+    }
+    // Report an error once, not on every failing poll
+    if (!stream.error || stream.error.message !== error.message) {
+      stream.error = { type: 'error', payload: { error: error.message, code: error.code || null, timestamp: new Date().toISOString() } };
+      stream.clients.forEach(client => client.send(stream.error));
+    }
+  } finally {
+    stream.polling = false;
+  }
+}
+
+// Add a subscriber; the stream (and its poller) starts with the first one.
+// client: { send(event), heartbeat(), close(), lastEventId }
+function subscribeStream(domain, path, query, client) {
+  const key = getStreamKey(domain, path, query);
+  let stream = streams.get(key);
+  if (!stream) {
+    stream = { key, domain, path, query, clients: new Set(), timer: null, polling: false, event: null, error: null };
+    streams.set(key, stream);
+    stream.timer = setInterval(() => pollStream(stream), STREAM_POLL_INTERVAL);
+    stream.heartbeat = setInterval(() => stream.clients.forEach(subscriber => subscriber.heartbeat()), STREAM_HEARTBEAT);
+    pollStream(stream);
+  } else if (stream.event && stream.event.id !== client.lastEventId) {
+    client.send(stream.event);
+  }
+  stream.clients.add(client);
+  streamClientCount++;
+
+  return () => {
+    if (!stream.clients.delete(client)) {
+      return;
+    }
+    streamClientCount--;
+    if (stream.clients.size === 0) {
+      clearInterval(stream.timer);
+      clearInterval(stream.heartbeat);
+      streams.delete(key);
+    }
+  };
+}
+
+// Check a stream request; returns an { status, error } object when it cannot be served
+function checkStreamRequest(domain, path, query) {
+  const config = getConfig(domain);
+  if (!config) {
+    return { status: 404, error: `Domain ${domain} not configured` };
+  }
+  if (streamClientCount >= STREAM_MAX_CLIENTS) {
+    return { status: 503, error: 'Too many stream subscribers' };
+  }
+  const routeMatch = resolveRoute(config, 'GET', path);
+  if (!routeMatch && config.routesOnly) {
+    return { status: 404, error: `No route matches GET ${path}` };
+  }
+  try {
+    mapQuery(query, (routeMatch ? routeMatch.config : config).query);
+  } catch (error) {
+    return { status: error.statusCode || 400, error: error.message };
+  }
+  return null;
+}
+
+// End every subscription (used on shutdown, where open streams would keep the server from closing)
+function closeStreams() {
+  streams.forEach(stream => stream.clients.forEach(client => client.close()));
+}
+
+function getStreamStats() {
+  return {
+    streams: streams.size,
+    clients: streamClientCount,
+    paths: Array.from(streams.values()).map(stream => ({ domain: stream.domain, path: stream.path, clients: stream.clients.size }))
+  };
+}
+
+// Server-Sent Events subscription
+app.get('/stream/:domain/*', domainScope('read'), (req, res) => {
+  const domain = req.params.domain;
+  const path = req.params[0] || '';
+  const { lastEventId, api_key: apiKeyParam, ...query } = req.query;
+
+  const problem = checkStreamRequest(domain, path, query);
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${Math.min(STREAM_POLL_INTERVAL, 10000)}\n\n`);
+
+  const unsubscribe = subscribeStream(domain, path, query, {
+    lastEventId: req.get('Last-Event-ID') || lastEventId,
+    send: event => {
+      res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`);
+    },
+    heartbeat: () => res.write(`: heartbeat ${Date.now()}\n\n`),
+    close: () => res.end()
+  });
+  req.on('close', unsubscribe);
+});
+
+// WebSocket subscriptions on the same paths: ws(s)://host/stream/{domain}/{path}
+const streamSocketServer = new WebSocket.Server({ noServer: true });
+
+// Upgrades skip Express, so resolve the client IP like req.ip with 'trust proxy' set to 1:
+// the proxy in front of us appends the address it saw to X-Forwarded-For
+function upgradeClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (!forwarded) {
+    return req.socket.remoteAddress;
+  }
+  const hops = forwarded.split(',').map(ip => ip.trim()).filter(Boolean);
+  return hops.length ? hops[hops.length - 1] : req.socket.remoteAddress;
+}
+
+function attachStreamServer(httpServer) {
+  httpServer.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/stream\/([^/]+)\/?(.*)$/);
+    const reject = (status, message) => {
+      socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    };
+
+    if (!match) {
+      return reject(404, 'Not Found');
+    }
+    if (allowedIPs && !allowedIPs.includes(upgradeClientIp(req))) {
+      return reject(403, 'Forbidden');
+    }
+
+    const domain = decodeURIComponent(match[1]);
+    const path = decodeURIComponent(match[2]);
+    const query = {};
+    url.searchParams.forEach((value, name) => {
+      query[name] = name in query ? [].concat(query[name], value) : value;
+    });
+    const { lastEventId, api_key: apiKeyParam, ...streamQuery } = query;
+
+    // Upgrades bypass the Express middleware, so check the API key here
+    if (authenticationEnabled()) {
+      const apiKey = findApiKey(readApiKey(req.headers, query));
+      if (!apiKey) {
+        return reject(401, 'Unauthorized');
+      }
+      if (!hasScope(apiKey, `read:${domain}`)) {
+        return reject(403, 'Forbidden');
+      }
+      recordKeyUsage(apiKey, 101);
+    }
+
+    const problem = checkStreamRequest(domain, path, streamQuery);
+    if (problem) {
+      return reject(problem.status, problem.status === 404 ? 'Not Found' : (problem.status === 503 ? 'Service Unavailable' : 'Bad Request'));
+    }
+
+    streamSocketServer.handleUpgrade(req, socket, head, ws => {
+      let alive = true;
+      ws.on('pong', () => {
+        alive = true;
+      });
+
+      const unsubscribe = subscribeStream(domain, path, streamQuery, {
+        lastEventId,
+        send: event => ws.send(JSON.stringify({ type: event.type, id: event.id, ...event.payload })),
+        heartbeat: () => {
+          // Drop connections that did not answer the previous ping
+          if (!alive) {
+            return ws.terminate();
+          }
+          alive = false;
+          ws.ping();
+        },
+        close: () => ws.close(1001, 'Server shutting down')
+      });
+      ws.on('close', unsubscribe);
+      ws.on('error', unsubscribe);
+    });
+  });
+}
+
+// Configuration endpoints
+
+// Validate and store a domain configuration, recording a new version
+async function applyConfig(input, action, note) {
+  const { error, value } = configSchema.validate(input);
+
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  const { domain } = value;
+  const previous = getConfig(domain);
+  const config = {};
+  CONFIG_FIELDS.forEach(field => {
+    config[field] = value[field];
+  });
+
+  const stored = {
+    ...config,
+    selectors: config.selectors || {},
+    selectorVersions: config.selectorVersions || [],
+    auth: config.auth || null,
+    webhookUrl: config.webhookUrl || null,
+    webhooks: config.webhooks || [],
+    useBrowser: config.useBrowser || false,
+    browserSteps: config.browserSteps || [],
+    capture: config.capture || null,
+    pagination: config.pagination || null,
+    cache: config.cache || null,
+    query: config.query || null,
+    form: config.form || null,
+    routes: config.routes || [],
+    routesOnly: config.routesOnly || false,
+    monitoring: config.monitoring || null,
+    created: previous ? previous.created : new Date().toISOString()
+  };
+  if (previous) {
+    stored.updated = new Date().toISOString();
+  }
+
+  saveConfig(domain, stored);
+  await scheduleMonitoring(domain).catch(error => console.error('Monitoring schedule error:', error.message));
+  const entry = await recordConfigVersion(domain, stored, action, note);
+  return { config: stored, version: entry ? entry.version : null };
+}
+
+function findConfigVersion(domain, version) {
+  return getConfigHistory(domain).find(entry => entry.version === parseInt(version));
+}
+
+app.get('/config', requireScope('write:*'), (req, res) => {
+  res.json(getAllConfigs());
+});
+
+app.post('/config', domainScope('write', req => req.body.domain), async (req, res) => {
+  const { note, ...input } = req.body;
+  const { error, config, version } = await applyConfig(input, getConfig(input.domain) ? 'update' : 'create', note);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json({ success: true, version, config });
+});
+
+app.get('/config/:domain', domainScope('write'), (req, res) => {
+  const config = getConfig(req.params.domain);
+
+  if (!config) {
+    return res.status(404).json({ error: 'Domain not found' });
+  }
+
+  res.json(config);
+});
+
+// Replace a configuration
+app.put('/config/:domain', domainScope('write'), async (req, res) => {
+  const domain = req.params.domain;
+  const { note, ...input } = req.body;
+  const { error, config, version } = await applyConfig({ ...input, domain }, getConfig(domain) ? 'update' : 'create', note);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json({ success: true, version, config });
+});
+
+// Partially update a configuration with a JSON merge patch
+app.patch('/config/:domain', domainScope('write'), async (req, res) => {
+  const domain = req.params.domain;
+  const current = getConfig(domain);
+
+  if (!current) {
+    return res.status(404).json({ error: 'Domain not found' });
+  }
+
+  const { note, ...patch } = req.body;
+  const merged = mergePatch(toConfigInput(domain, current), patch);
+  const { error, config, version } = await applyConfig({ ...merged, domain }, 'update', note);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json({ success: true, version, config });
+});
+
+app.delete('/config/:domain', domainScope('write'), async (req, res) => {
+  const domain = req.params.domain;
+
+  if (!getConfig(domain)) {
+    return res.status(404).json({ error: 'Domain not found' });
+  }
+
+  saveConfig(domain, null);
+  stopMonitoring(domain);
+  await recordConfigVersion(domain, null, 'delete', req.body && req.body.note);
+  res.json({ success: true });
+});
+
+// Configuration history endpoints
+app.get('/config/:domain/versions', domainScope('write'), (req, res) => {
+  const history = getConfigHistory(req.params.domain);
+
+  if (history.length === 0) {
+    return res.status(404).json({ error: 'Domain not found' });
+  }
+
+  res.json(history.map(({ version, timestamp, note, action }) => ({ version, timestamp, note, action })));
+});
+
+app.get('/config/:domain/versions/:version', domainScope('write'), (req, res) => {
+  const entry = findConfigVersion(req.params.domain, req.params.version);
+
+  if (!entry) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  res.json(entry);
+});
+
+// Diff two versions (?from=&to=, defaulting to the previous and latest versions)
+app.get('/config/:domain/diff', domainScope('write'), (req, res) => {
+  const history = getConfigHistory(req.params.domain);
+
+  if (history.length === 0) {
+    return res.status(404).json({ error: 'Domain not found' });
+  }
+
+  const diff = diffConfigVersions(history, req.query.from, req.query.to);
+
+  if (!diff) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  res.json(diff);
+});
+
+// Restore an earlier version as the new current version
+app.post('/config/:domain/rollback', domainScope('write'), async (req, res) => {
+  const domain = req.params.domain;
+  const { version, note } = req.body;
+  const entry = findConfigVersion(domain, version);
+
+  if (!entry) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  if (!entry.config) {
+    return res.status(400).json({ error: `Version ${entry.version} is a deletion` });
+  }
+
+  const result = await applyConfig(toConfigInput(domain, entry.config), 'rollback', note || `Rollback to version ${entry.version}`);
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  res.json({ success: true, version: result.version, config: result.config });
+});
+
+// Session management endpoints
+function describeSession(session) {
+  return {
+    id: session.id,
+    domain: session.domain,
+    baseUrl: session.baseUrl,
+    created: session.created,
+    lastUsed: session.lastUsed,
+    expiresAt: session.expiresAt,
+    expired: hasSessionLapsed(session),
+    authenticated: session.authenticated || false,
+    hasCredentials: !!session.credentials,
+    owner: session.owner || null,
+    cookieCount: session.jar.serializeSync().cookies.length
+  };
+}
+
+// A client session can be managed by the key that created it and by keys that can write its domain
+function canAccessSession(apiKey, session) {
+  return hasScope(apiKey, `write:${session.domain}`) || (!!session.owner && session.owner === apiKey.id);
+}
+
+const sessionCreateSchema = Joi.object({
+  domain: Joi.string().required(),
+  sessionId: Joi.string().pattern(/^[\w.-]{1,128}$/).optional(),
+  credentials: Joi.object({
+    username: Joi.string().required(),
+    password: Joi.string().required()
+  }).optional(),
+  ttl: Joi.number().integer().min(1).optional()
+});
+
+app.get('/sessions', requireScope('admin'), (req, res) => {
+  const sessions = listSessions();
+  Object.keys(sessions).forEach(key => {
+    sessions[key] = describeSession(sessions[key]);
+  });
+  res.json(sessions);
+});
+
+// Create a client session; use its id in the X-Session-Id header
+app.post('/sessions', domainScope('read', req => req.body.domain), async (req, res) => {
+  const { error, value } = sessionCreateSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const { domain, credentials, ttl } = value;
+  const config = getConfig(domain);
+
+  if (!config) {
+    return res.status(404).json({ error: `Domain ${domain} not configured` });
+  }
+
+  if (credentials && !config.auth) {
+    return res.status(400).json({ error: `Domain ${domain} has no auth configuration to use the credentials with` });
+  }
+
+  const sessionId = value.sessionId || crypto.randomBytes(16).toString('hex');
+  if (loadSession(getSessionKey(domain, sessionId))) {
+    return res.status(409).json({ error: 'Session already exists' });
+  }
+
+  try {
+    await loadSessionSecret();
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to create session', details: error.message });
+  }
+
+  const session = createSession(domain, config.baseUrl, sessionId, {
+    credentials: credentials ? encryptCredentials(credentials) : null,
+    ttl,
+    owner: req.apiKey ? req.apiKey.id : null
+  });
+  res.status(201).json({ success: true, header: SESSION_HEADER, session: describeSession(session) });
+});
+
+app.get('/sessions/:domain/:sessionId', domainScope('read'), (req, res) => {
+  const session = loadSession(getSessionKey(req.params.domain, req.params.sessionId));
+
+  if (!session || !canAccessSession(req.apiKey, session)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.json(describeSession(session));
+});
+
+// Expire a client session now: its cookies are dropped and its next use reports 410
+app.post('/sessions/:domain/:sessionId/expire', domainScope('read'), (req, res) => {
+  const session = loadSession(getSessionKey(req.params.domain, req.params.sessionId));
+
+  if (!session || !canAccessSession(req.apiKey, session)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  session.expiresAt = new Date();
+  session.authenticated = false;
+  session.jar.removeAllCookiesSync();
+  saveSession(session);
+  res.json({ success: true, session: describeSession(session) });
+});
+
+app.delete('/sessions/:domain/:sessionId', domainScope('read'), (req, res) => {
+  const key = getSessionKey(req.params.domain, req.params.sessionId);
+  const session = loadSession(key);
+
+  if (!session || !canAccessSession(req.apiKey, session)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  deleteSession(key);
+  res.json({ success: true });
+});
+
+app.delete('/sessions/:domain', domainScope('write'), (req, res) => {
+  const domain = req.params.domain;
+
+  if (!loadSession(domain)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  deleteSession(domain);
+  res.json({ success: true });
+});
+
+app.delete('/sessions', requireScope('admin'), (req, res) => {
+  storage.keys('sessions').forEach(deleteSession);
+  res.json({ success: true, message: 'All sessions cleared' });
+});
+
+// Cache management endpoints
+app.get('/cache/stats', requireScope('admin'), (req, res) => {
+  res.json({
+    cacheSize: storage.keys('cache').length,
+    cacheKeys: storage.keys('cache'),
+    cacheInfo: `${storage.backend} storage cache active`
+  });
+});
+
+app.delete('/cache', requireScope('admin'), (req, res) => {
+  storage.clear('cache');
+  res.json({ success: true, message: 'Cache cleared' });
+});
+
+// Purge the cached responses of one domain, or of one API path with /cache/{domain}/{path}
+app.delete('/cache/:domain', domainScope('write'), (req, res) => {
+  const purged = purgeCache(req.params.domain);
+  res.json({ success: true, purged });
+});
+
+app.delete('/cache/:domain/*', domainScope('write'), (req, res) => {
+  const purged = purgeCache(req.params.domain, req.params[0] || '');
+  res.json({ success: true, purged });
+});
+
+// Webhook delivery log: newest first, filtered by domain, event and status
+app.get('/webhooks/deliveries', domainScope('write', req => req.query.domain), (req, res) => {
+  const { domain, event, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const deliveries = Object.values(storage.entries('webhooks'))
+    .filter(delivery => delivery &&
+      (!domain || delivery.domain === domain) &&
+      (!event || delivery.event === event) &&
+      (!status || delivery.status === status))
+    .sort((a, b) => b.created.localeCompare(a.created));
+
+  res.json({ total: deliveries.length, deliveries: deliveries.slice(0, limit).map(summarizeDelivery) });
+});
+
+// One delivery with its payload and every attempt
+app.get('/webhooks/deliveries/:id', recordScope('write', 'webhooks'), (req, res) => {
+  const delivery = storage.get('webhooks', req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  const { lock, lockedUntil, ...details } = delivery;
+  res.json({ ...details, nextAttempt: details.nextAttempt ? new Date(details.nextAttempt).toISOString() : null });
+});
+
+// Send a delivery again as a new delivery with the same payload
+app.post('/webhooks/deliveries/:id/redeliver', recordScope('write', 'webhooks'), (req, res) => {
+  const original = storage.get('webhooks', req.params.id);
+  if (!original) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  const delivery = queueDelivery({
+    domain: original.domain,
+    event: original.event,
+    url: original.url,
+    payload: original.payload,
+    redeliveryOf: original.id
+  });
+  res.status(202).json({ success: true, delivery: summarizeDelivery(delivery) });
+});
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Selector drift monitoring. Monitors live in the "monitors" namespace, keyed by domain:
+// { domain, enabled, interval, nextRun, status, lastRun, selectors, history, lock, lockedUntil }
+const MONITOR_HISTORY_LIMIT = 100;
+
+function describeValueType(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Compare extracted values with what the selector definitions (and canary expectations) promise
+function checkSelectors(selectors, data, expect, previous) {
+  const report = {};
+
+  Object.keys(selectors || {}).forEach(key => {
+    const spec = selectors[key];
+    const rules = (expect && expect[key]) || {};
+    const value = data[key];
+    const expectedType = rules.type || selectorToSchema(spec).type;
+    const actualType = describeValueType(value);
+    const required = rules.required !== undefined ? rules.required : !!spec.required;
+    const count = Array.isArray(value) ? value.length : (actualType === 'null' || value === '' ? 0 : 1);
+    const issues = [];
+
+    if (actualType !== 'null' && actualType !== expectedType) {
+      issues.push(`expected ${expectedType} but got ${actualType}`);
+    }
+
+    if (expectedType === 'array') {
+      const minCount = rules.minCount !== undefined ? rules.minCount : 1;
+      if (count < minCount) {
+        issues.push(`expected at least ${minCount} items but got ${count}`);
+      }
+      if (previous && previous[key] && previous[key].count > 0 && count === 0) {
+        issues.push(`dropped from ${previous[key].count} items to 0`);
+      }
+    } else if (count === 0 && (required || rules.minCount > 0)) {
+      issues.push('required value is empty');
+    }
+
+    let status = issues.length > 0 ? 'failing' : 'ok';
+    if (status === 'ok' && count === 0) {
+      // Optional values may legitimately be empty, but it is worth a look
+      status = 'warning';
+      issues.push('no value extracted');
+    }
+
+    report[key] = { status, expectedType, actualType, count, issues };
+  });
+
+  return report;
+}
+
+// Fetch every canary path of a domain and record the selector report. Returns the updated
+// monitor, or null when the monitor is not due (or forced) or another process is running it.
+async function runCanaryChecks(domain, force = false) {
+  const config = getConfig(domain);
+  if (!config || !config.monitoring) {
+    return null;
+  }
+
+  const monitor = await claimDueTask('monitors', domain, force, (task, now) => now + task.interval * 1000);
+  if (!monitor) {
+    return null;
+  }
+
+  const runSelectors = {};
+  const canaryResults = [];
+
+  for (const canary of config.monitoring.canaries) {
+    const { path = '', query = {}, expect } = typeof canary === 'string' ? { path: canary } : canary;
+    const routeMatch = resolveRoute(config, 'GET', path);
+    const canaryConfig = routeMatch ? routeMatch.config : config;
+
+    try {
+      const result = await makeAPICall(domain, path, 'GET', null, config, { query, noCache: true });
+      recordSuccess(domain);
+      const version = (canaryConfig.selectorVersions || []).find(v => v.name === result.extraction.version);
+      const selectors = version ? version.selectors : canaryConfig.selectors;
+      const previous = monitor.selectors[path] && monitor.selectors[path].selectors;
+      const report = checkSelectors(selectors, result.data, expect, previous);
+      const failing = Object.keys(report).filter(key => report[key].status === 'failing');
+
+      runSelectors[path] = {
+        status: failing.length > 0 ? 'degraded' : 'ok',
+        version: result.extraction.version,
+        fallbacks: result.extraction.selectors,
+        selectors: report
+      };
+      canaryResults.push({ path, status: runSelectors[path].status, failing });
+    } catch (error) {
+      if (error.code === 'REQUIRED_FIELD_MISSING') {
+        // The page loaded but a required selector no longer matches
+        const field = error.field.split('.')[0];
+        runSelectors[path] = {
+          status: 'degraded',
+          error: error.message,
+          selectors: { [field]: { status: 'failing', issues: [error.message] } }
+        };
+        canaryResults.push({ path, status: 'degraded', failing: [field] });
+      } else {
+        if (isUpstreamFailure(error)) {
+          recordFailure(domain);
+        }
+        runSelectors[path] = { status: 'down', error: error.message, selectors: {} };
+        canaryResults.push({ path, status: 'down', error: error.message });
+      }
+    }
+  }
+
+  const statuses = canaryResults.map(c => c.status);
+  const status = statuses.includes('down') ? 'down' : (statuses.includes('degraded') ? 'degraded' : 'ok');
+  const previousStatus = monitor.status;
+  const lastRun = new Date().toISOString();
+
+  const updated = await storage.update('monitors', domain, current => {
+    if (!current) {
+      return null; // Monitoring was removed while running
+    }
+    return {
+      ...current,
+      status,
+      lastRun,
+      selectors: runSelectors,
+      history: [{ timestamp: lastRun, status, canaries: canaryResults }].concat(current.history || []).slice(0, MONITOR_HISTORY_LIMIT),
+      lock: null,
+      lockedUntil: null
+    };
+  });
+
+  // Alert when extraction degrades (or recovers), not on every failing run
+  if (status !== previousStatus && (status !== 'ok' || previousStatus !== 'unknown')) {
+    emitWebhookEvent(domain, config, 'selector-drift', {
+      event: status === 'ok' ? 'selector-drift-resolved' : 'selector-drift',
+      domain,
+      status,
+      previousStatus,
+      timestamp: lastRun,
+      canaries: runSelectors
+    });
+  }
+
+  if (status !== 'ok') {
+    console.log(`Selector monitoring for ${domain}: ${status}`);
+  }
+
+  return updated;
+}
+
+function stopMonitoring(domain) {
+  storage.delete('monitors', domain);
+}
+
+// Store the canary schedule of a domain after its configuration changed; the state and
+// history of earlier runs are kept, and a new interval starts counting from now
+async function scheduleMonitoring(domain) {
+  const config = getConfig(domain);
+  if (!config || !config.monitoring) {
+    return stopMonitoring(domain);
+  }
+
+  const interval = config.monitoring.interval || 3600;
+  await storage.update('monitors', domain, current => {
+    const monitor = current || { domain, status: 'unknown', lastRun: null, selectors: {}, history: [] };
+    return {
+      ...monitor,
+      enabled: config.monitoring.enabled !== false,
+      interval,
+      nextRun: current && current.interval === interval ? current.nextRun : Date.now() + interval * 1000
+    };
+  });
+}
+
+Object.keys(getAllConfigs()).forEach(domain => {
+  scheduleMonitoring(domain).catch(error => console.error('Monitoring schedule error:', error.message));
+});
+
+// Run every due monitor; claiming keeps concurrent processes from running one twice
+let monitorSchedulerRunning = false;
+
+async function runDueMonitors() {
+  if (monitorSchedulerRunning || shuttingDown) {
+    return;
+  }
+  monitorSchedulerRunning = true;
+  try {
+    const now = Date.now();
+    for (const domain of storage.keys('monitors')) {
+      const monitor = storage.get('monitors', domain);
+      if (!monitor) {
+        storage.delete('monitors', domain);
+      } else if (monitor.enabled && monitor.nextRun <= now) {
+        await runCanaryChecks(domain);
+      }
+    }
+  } catch (error) {
+    console.error('Monitoring run failed:', error.message);
+  } finally {
+    monitorSchedulerRunning = false;
+  }
+}
+
+setInterval(runDueMonitors, 5 * 1000);
+
+function monitoringReport(domain) {
+  const monitor = storage.get('monitors', domain);
+  const config = getConfig(domain);
+  return {
+    domain,
+    status: monitor ? monitor.status : 'unknown',
+    monitoring: config.monitoring ? config.monitoring.enabled !== false : false,
+    interval: config.monitoring ? config.monitoring.interval : null,
+    lastRun: monitor ? monitor.lastRun : null,
+    nextRun: monitor && monitor.enabled ? new Date(monitor.nextRun).toISOString() : null,
+    circuitBreaker: getCircuitBreaker(domain).state,
+    canaries: monitor ? monitor.selectors : {},
+    history: monitor ? monitor.history : []
+  };
+}
+
+// Per-selector health report for a domain
+app.get('/health/:domain', domainScope('read'), (req, res) => {
+  const domain = req.params.domain;
+
+  if (!getConfig(domain)) {
+    return res.status(404).json({ error: `Domain ${domain} not configured` });
+  }
+
+  res.json(monitoringReport(domain));
+});
+
+// Run the canary checks of a domain immediately
+app.post('/health/:domain/check', domainScope('write'), async (req, res) => {
+  const domain = req.params.domain;
+  const config = getConfig(domain);
+
+  if (!config) {
+    return res.status(404).json({ error: `Domain ${domain} not configured` });
+  }
+
+  if (!config.monitoring) {
+    return res.status(400).json({ error: `Domain ${domain} has no monitoring configuration` });
+  }
+
+  try {
+    if (!await runCanaryChecks(domain, true)) {
+      return res.status(409).json({ error: 'Monitoring checks are already running' });
+    }
+    res.json(monitoringReport(domain));
+  } catch (error) {
+    res.status(500).json({ error: 'Monitoring run failed', details: error.message });
+  }
+});
+
+// Change detection: watches fetch a path on a schedule, diff the extracted data with the
+// previous run and send watch-changed webhook events
+const WATCH_CHANGE_LIMIT = 50;
+
+// Query of a watch or schedule; values are forwarded as strings, like a client query
+const taskQuerySchema = Joi.object().pattern(
+  Joi.string(),
+  Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean()).custom(value => String(value))
+);
+
+const watchSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  domain: Joi.string().required(),
+  path: Joi.string().allow('').default(''),
+  query: taskQuerySchema.optional(),
+  interval: Joi.number().integer().min(10).default(300),
+  fields: Joi.array().items(Joi.string()).min(1).unique().optional(),
+  key: Joi.alternatives().try(Joi.string(), Joi.object().pattern(Joi.string(), Joi.string())).optional(),
+  enabled: Joi.boolean().default(true)
+});
+
+function listWatches() {
+  return Object.values(storage.entries('watches')).filter(Boolean);
+}
+
+// Public view of a watch; the last result and change log only in detail views
+function describeWatch(watch, detailed) {
+  const { lock, lockedUntil, lastResult, changes, ...definition } = watch;
+  const description = {
+    ...definition,
+    nextRun: watch.nextRun ? new Date(watch.nextRun).toISOString() : null
+  };
+  if (detailed) {
+    description.lastResult = lastResult || null;
+    description.changes = changes || [];
+  }
+  return description;
+}
+
+// Take the lock on a stored watch, schedule or monitor that is due (or forced) so only one process runs it
+async function claimDueTask(namespace, id, force, getNextRun) {
+  const lock = crypto.randomUUID();
+  const now = Date.now();
+  const claimed = await storage.update(namespace, id, task => {
+    if (!task || (task.lockedUntil && task.lockedUntil > now) || (!force && (!task.enabled || task.nextRun > now))) {
+      return task || null;
+    }
+    return { ...task, lock, lockedUntil: now + 5 * 60 * 1000, nextRun: getNextRun(task, now) };
+  });
+  return claimed && claimed.lock === lock ? claimed : null;
+}
+
+// Fetch a watched path, diff it with the previous run and notify subscribers of changes
+async function runWatch(id, force = false) {
+  const watch = await claimDueTask('watches', id, force, (task, now) => now + task.interval * 1000);
+  if (!watch) {
+    return null;
+  }
+
+  const config = getConfig(watch.domain);
+  const timestamp = new Date().toISOString();
+  const outcome = { lastRun: timestamp, lastError: null };
+  let change = null;
+
+  try {
+    if (!config) {
+      throw new Error(`Domain ${watch.domain} not configured`);
+    }
+    const result = await makeAPICall(watch.domain, watch.path, 'GET', null, config, { query: watch.query, noCache: true });
+    recordSuccess(watch.domain);
+    const current = pickWatchedFields(result.data, watch.fields);
+
+    if (watch.lastResult) {
+      const diff = diffWatchedData(watch.lastResult.data, current, watch.key);
+      if (diff) {
+        change = { timestamp, previousTimestamp: watch.lastResult.timestamp, ...diff };
+      }
+    }
+    outcome.lastResult = { timestamp, url: result.url, data: current };
+    outcome.status = 'ok';
+  } catch (error) {
+    if (config && isUpstreamFailure(error)) {
+      recordFailure(watch.domain);
+    }
+    outcome.status = 'error';
+    outcome.lastError = error.message;
+  }
+
+  const updated = await storage.update('watches', id, current => {
+    if (!current) {
+      return null; // Deleted while running
+    }
+    const next = { ...current, ...outcome, runs: (current.runs || 0) + 1, lock: null, lockedUntil: null };
+    if (change) {
+      next.lastChange = change.timestamp;
+      next.changes = [change].concat(current.changes || []).slice(0, WATCH_CHANGE_LIMIT);
+    }
+    return next;
+  });
+
+  if (change && updated) {
+    emitWebhookEvent(watch.domain, config, 'watch-changed', {
+      watch: { id, name: watch.name || null, domain: watch.domain, path: watch.path, query: watch.query || null },
+      ...change,
+      data: outcome.lastResult.data
+    });
+  }
+  return updated;
+}
+
+// Run every due watch; claiming keeps concurrent processes from running one twice
+let watchSchedulerRunning = false;
+
+async function runDueWatches() {
+  if (watchSchedulerRunning || shuttingDown) {
+    return;
+  }
+  watchSchedulerRunning = true;
+  try {
+    const now = Date.now();
+    for (const id of storage.keys('watches')) {
+      const watch = storage.get('watches', id);
+      if (!watch) {
+        storage.delete('watches', id);
+      } else if (watch.enabled && watch.nextRun <= now) {
+        await runWatch(id);
+      }
+    }
+  } catch (error) {
+    console.error('Watch scheduler error:', error.message);
+  } finally {
+    watchSchedulerRunning = false;
+  }
+}
+
+setInterval(runDueWatches, 5 * 1000);
+
+// Validate a watch definition against the configured domains
+function validateWatch(input) {
+  const { error, value } = watchSchema.validate(input);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+  if (!getConfig(value.domain)) {
+    return { error: `Domain ${value.domain} not configured` };
+  }
+  value.path = value.path.replace(/^\/+/, '');
+  return { value };
+}
+
+// Watch endpoints
+app.get('/watches', domainScope('read', req => req.query.domain), (req, res) => {
+  const watches = listWatches()
+    .filter(watch => !req.query.domain || watch.domain === req.query.domain)
+    .map(watch => describeWatch(watch, false));
+  res.json({ watches });
+});
+
+app.post('/watches', domainScope('write', req => req.body.domain), (req, res) => {
+  const { error, value } = validateWatch(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const watch = {
+    id: crypto.randomUUID(),
+    ...value,
+    created: new Date().toISOString(),
+    status: 'pending',
+    runs: 0,
+    lastRun: null,
+    lastChange: null,
+    lastError: null,
+    nextRun: Date.now(),
+    changes: []
+  };
+  storage.set('watches', watch.id, watch);
+  res.status(201).json({ success: true, watch: describeWatch(watch, false) });
+});
+
+app.get('/watches/:id', recordScope('read', 'watches'), (req, res) => {
+  const watch = storage.get('watches', req.params.id);
+  if (!watch) {
+    return res.status(404).json({ error: 'Watch not found' });
+  }
+  res.json(describeWatch(watch, true));
+});
+
+// Replace a watch definition; a new target (domain, path, query or fields) starts a new baseline
+app.put('/watches/:id', recordScope('write', 'watches'), async (req, res) => {
+  const existing = storage.get('watches', req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Watch not found' });
+  }
+
+  const { error, value } = validateWatch(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const target = watch => JSON.stringify([watch.domain, watch.path, watch.query || null, watch.fields || null]);
+  try {
+    const updated = await storage.update('watches', req.params.id, current => {
+      if (!current) {
+        return null;
+      }
+      const { name, query, fields, key, ...state } = current; // Optional settings missing from the new definition are dropped
+      const watch = { ...state, ...value, updated: new Date().toISOString() };
+      if (target(current) !== target(watch)) {
+        watch.lastResult = null;
+      }
+      if (watch.interval !== current.interval) {
+        watch.nextRun = Date.now();
+      }
+      return watch;
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json({ success: true, watch: describeWatch(updated, false) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update watch', details: error.message });
+  }
+});
+
+app.delete('/watches/:id', recordScope('write', 'watches'), (req, res) => {
+  if (!storage.get('watches', req.params.id)) {
+    return res.status(404).json({ error: 'Watch not found' });
+  }
+  storage.delete('watches', req.params.id);
+  res.json({ success: true, message: 'Watch deleted' });
+});
+
+// Run a watch immediately
+app.post('/watches/:id/run', recordScope('write', 'watches'), async (req, res) => {
+  if (!storage.get('watches', req.params.id)) {
+    return res.status(404).json({ error: 'Watch not found' });
+  }
+
+  try {
+    const watch = await runWatch(req.params.id, true);
+    if (!watch) {
+      return res.status(409).json({ error: 'Watch is already running' });
+    }
+    res.json(describeWatch(watch, true));
+  } catch (error) {
+    res.status(500).json({ error: 'Watch run failed', details: error.message });
+  }
+});
+
+const cronSchema = Joi.string().custom((value, helpers) => {
+  try {
+    if (nextCronRun(value, Date.now()) === null) {
+      return helpers.message('Cron expression never matches');
+    }
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+  return value;
+});
+
+// Scheduled scrapes: fetch a path on a cron schedule, warming the cache and archiving each result
+const ARCHIVE_RETENTION = (parseInt(process.env.ARCHIVE_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+const ARCHIVE_MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 1000; // per domain and path
+const SCHEDULE_RUN_LIMIT = 20;
+
+const scheduleSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  domain: Joi.string().required(),
+  path: Joi.string().allow('').default(''),
+  query: taskQuerySchema.optional(),
+  cron: cronSchema.required(),
+  archive: Joi.boolean().default(true),
+  enabled: Joi.boolean().default(true)
+});
+
+// Archive keys sort by path and then time: <domain>/<path>@<ISO timestamp>#<random>
+function getArchivePrefix(domain, path) {
+  return `${domain}/${path}@`;
+}
+
+// Archive keys of a path, oldest first. Each path keeps an index of its keys under its prefix in
+// "archiveIndex", so runs and reads do not scan the whole archive; paths archived before the
+// index existed are scanned once
+function getArchiveKeys(prefix) {
+  return storage.get('archiveIndex', prefix) || storage.keys('archive').filter(key => key.startsWith(prefix)).sort();
+}
+
+// Store a result in the archive and drop entries beyond the retention limits
+async function archiveResult(schedule, result) {
+  const prefix = getArchivePrefix(schedule.domain, schedule.path);
+  const key = `${prefix}${result.timestamp}#${crypto.randomBytes(4).toString('hex')}`;
+  storage.set('archive', key, {
+    timestamp: result.timestamp,
+    domain: schedule.domain,
+    path: schedule.path,
+    query: schedule.query || {},
+    url: result.url,
+    schedule: schedule.id,
+    data: result.data
+  });
+
+  let dropped = [];
+  const cutoff = new Date(Date.now() - ARCHIVE_RETENTION).toISOString();
+  await storage.update('archiveIndex', prefix, keys => {
+    const all = Array.from(new Set((keys || getArchiveKeys(prefix)).concat(key))).sort();
+    // Keys sort by time, so the entries to keep are the newest ones within the retention period
+    let start = Math.max(all.length - ARCHIVE_MAX_ENTRIES, 0);
+    while (start < all.length && all[start].slice(prefix.length) < cutoff) {
+      start++;
+    }
+    dropped = all.slice(0, start);
+    return all.slice(start);
+  });
+  dropped.forEach(candidate => storage.delete('archive', candidate));
+}
+
+function describeSchedule(schedule) {
+  const { lock, lockedUntil, ...definition } = schedule;
+  return { ...definition, nextRun: schedule.nextRun ? new Date(schedule.nextRun).toISOString() : null };
+}
+
+// Run a schedule: a fresh fetch through makeAPICall stores the result in the cache
+async function runSchedule(id, force = false) {
+  const schedule = await claimDueTask('schedules', id, force, task => nextCronRun(task.cron, Date.now()));
+  if (!schedule) {
+    return null;
+  }
+
+  const config = getConfig(schedule.domain);
+  const run = { timestamp: new Date().toISOString() };
+  const started = Date.now();
+  try {
+    if (!config) {
+      throw new Error(`Domain ${schedule.domain} not configured`);
+    }
+    const result = await makeAPICall(schedule.domain, schedule.path, 'GET', null, config, { query: schedule.query, noCache: true });
+    recordSuccess(schedule.domain);
+    if (schedule.archive) {
+      await archiveResult(schedule, result);
+    }
+    run.status = 'ok';
+  } catch (error) {
+    if (config && isUpstreamFailure(error)) {
+      recordFailure(schedule.domain);
+    }
+    run.status = 'error';
+    run.error = error.message;
+  }
+  run.duration = Date.now() - started;
+
+  return storage.update('schedules', id, current => {
+    if (!current) {
+      return null; // Deleted while running
+    }
+    return {
+      ...current,
+      lastRun: run.timestamp,
+      lastStatus: run.status,
+      runs: [run].concat(current.runs || []).slice(0, SCHEDULE_RUN_LIMIT),
+      lock: null,
+      lockedUntil: null
+    };
+  });
+}
+
+let scheduleRunnerActive = false;
+
+async function runDueSchedules() {
+  if (scheduleRunnerActive || shuttingDown) {
+    return;
+  }
+  scheduleRunnerActive = true;
+  try {
+    const now = Date.now();
+    for (const id of storage.keys('schedules')) {
+      const schedule = storage.get('schedules', id);
+      if (!schedule) {
+        storage.delete('schedules', id);
+      } else if (schedule.enabled && schedule.nextRun !== null && schedule.nextRun <= now) {
+        await runSchedule(id);
+      }
+    }
+  } catch (error) {
+    console.error('Schedule runner error:', error.message);
+  } finally {
+    scheduleRunnerActive = false;
+  }
+}
+
+setInterval(runDueSchedules, 10 * 1000);
+
+function validateSchedule(input) {
+  const { error, value } = scheduleSchema.validate(input);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+  if (!getConfig(value.domain)) {
+    return { error: `Domain ${value.domain} not configured` };
+  }
+  value.path = value.path.replace(/^\/+/, '');
+  return { value };
+}
+
+// Schedule endpoints
+app.get('/schedules', domainScope('read', req => req.query.domain), (req, res) => {
+  const schedules = Object.values(storage.entries('schedules'))
+    .filter(schedule => schedule && (!req.query.domain || schedule.domain === req.query.domain))
+    .map(describeSchedule);
+  res.json({ schedules });
+});
+
+app.post('/schedules', domainScope('write', req => req.body.domain), (req, res) => {
+  const { error, value } = validateSchedule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const schedule = {
+    id: crypto.randomUUID(),
+    ...value,
+    created: new Date().toISOString(),
+    lastRun: null,
+    lastStatus: null,
+    nextRun: nextCronRun(value.cron, Date.now()),
+    runs: []
+  };
+  storage.set('schedules', schedule.id, schedule);
+  res.status(201).json({ success: true, schedule: describeSchedule(schedule) });
+});
+
+app.get('/schedules/:id', recordScope('read', 'schedules'), (req, res) => {
+  const schedule = storage.get('schedules', req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(describeSchedule(schedule));
+});
+
+app.put('/schedules/:id', recordScope('write', 'schedules'), async (req, res) => {
+  if (!storage.get('schedules', req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const { error, value } = validateSchedule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const updated = await storage.update('schedules', req.params.id, current => {
+      if (!current) {
+        return null;
+      }
+      const { name, query, ...state } = current; // Optional settings missing from the new definition are dropped
+      return { ...state, ...value, updated: new Date().toISOString(), nextRun: nextCronRun(value.cron, Date.now()) };
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ success: true, schedule: describeSchedule(updated) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update schedule', details: error.message });
+  }
+});
+
+app.delete('/schedules/:id', recordScope('write', 'schedules'), (req, res) => {
+  if (!storage.get('schedules', req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  storage.delete('schedules', req.params.id);
+  res.json({ success: true, message: 'Schedule deleted' });
+});
+
+// Run a schedule now (its cron timing is unchanged)
+app.post('/schedules/:id/run', recordScope('write', 'schedules'), async (req, res) => {
+  if (!storage.get('schedules', req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  try {
+    const schedule = await runSchedule(req.params.id, true);
+    if (!schedule) {
+      return res.status(409).json({ error: 'Schedule is already running' });
+    }
+    res.json(describeSchedule(schedule));
+  } catch (error) {
+    res.status(500).json({ error: 'Schedule run failed', details: error.message });
+  }
+});
+
+// Parse an archive time bound: ISO date or milliseconds since the epoch
+function parseArchiveTime(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// Archived results of a path, oldest first, optionally limited to a time range
+app.get('/archive/:domain/*', domainScope('read'), (req, res) => {
+  const domain = req.params.domain;
+  const path = (req.params[0] || '').replace(/^\/+/, '');
+  const from = parseArchiveTime(req.query.from);
+  const to = parseArchiveTime(req.query.to);
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds' });
+  }
+
+  const prefix = getArchivePrefix(domain, path);
+  const keys = getArchiveKeys(prefix).filter(key => {
+    const timestamp = key.slice(prefix.length, key.lastIndexOf('#'));
+    return (!from || timestamp >= from) && (!to || timestamp <= to);
+  });
+
+  const entries = keys.slice(0, limit).map(key => storage.get('archive', key)).filter(Boolean);
+  res.json({ domain, path, from, to, total: keys.length, count: entries.length, entries });
+});
+
+// Workflows: batch steps that can use earlier step results through {{steps.<id>...}}
+// templates, run independent steps in parallel and choose what happens when a step fails
+const WORKFLOW_MAX_STEPS = parseInt(process.env.WORKFLOW_MAX_STEPS) || 10;
+
+const workflowStepSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z_]\w*$/).optional(),
+  domain: Joi.string().required(),
+  path: Joi.string().allow('').default(''),
+  method: Joi.string().valid('GET', 'POST').default('GET'),
+  query: Joi.object().optional(),
+  data: Joi.object().optional(),
+  sessionId: Joi.string().optional(),
+  dependsOn: Joi.array().items(Joi.string()).optional(),
+  onError: Joi.string().valid('continue', 'abort', 'retry').default('continue'),
+  retries: Joi.number().integer().min(1).max(10).default(2),
+  retryDelay: Joi.number().integer().min(0).max(60000).default(1000)
+});
+
+const workflowSchema = Joi.object({
+  steps: Joi.array().items(workflowStepSchema).min(1).max(WORKFLOW_MAX_STEPS).required()
+    .messages({ 'array.max': `Maximum ${WORKFLOW_MAX_STEPS} steps per batch (use POST /jobs for larger batches)` }),
+  concurrency: Joi.number().integer().min(1).max(10).default(1),
+  input: Joi.object().optional()
+}).rename('requests', 'steps');
+
+const savedWorkflowSchema = Joi.object({
+  name: Joi.string().pattern(/^[\w-]{1,64}$/).required(),
+  description: Joi.string().max(500).optional(),
+  steps: Joi.array().items(workflowStepSchema).min(1).max(WORKFLOW_MAX_STEPS).required(),
+  concurrency: Joi.number().integer().min(1).max(10).default(1),
+  inputs: Joi.object().pattern(/^[A-Za-z_]\w*$/, Joi.object({
+    required: Joi.boolean().default(false),
+    default: Joi.any().optional(),
+    description: Joi.string().optional()
+  })).optional()
+});
+
+// Run one step (with retries for onError: retry) with the caller's API key; failures are reported, not thrown
+async function runWorkflowStep(step, context, defaultSessionId, apiKey) {
+  const attempts = step.onError === 'retry' ? step.retries + 1 : 1;
+  let outcome;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    let domain = step.domain;
+    let config = null;
+    let path = step.path;
+    try {
+      domain = renderTemplate(step.domain, context);
+      const scope = `${step.method === 'POST' ? 'write' : 'read'}:${domain}`;
+      if (!hasScope(apiKey, scope)) {
+        throw forbidden(scope);
+      }
+      config = getConfig(domain);
+      if (!config) {
+        throw new Error(`Domain ${domain} not configured`);
+      }
+      path = toWorkflowPath(config, renderTemplate(step.path, context));
+      const result = await makeAPICall(domain, path, step.method, renderTemplate(step.data, context) || null, config, {
+        query: renderTemplate(step.query, context),
+        sessionId: step.sessionId !== undefined ? renderTemplate(step.sessionId, context) : defaultSessionId
+      });
+      return { id: step.id, success: true, status: 'succeeded', attempts: attempt, result };
+    } catch (error) {
+      if (config) {
+        emitRequestError(domain, config, step.method, path, error);
+      }
+      outcome = { id: step.id, success: false, status: 'failed', attempts: attempt, error: error.message, code: error.code };
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, step.retryDelay * attempt));
+      }
+    }
+  }
+  return outcome;
+}
+
+const runWorkflow = createWorkflowRunner(runWorkflowStep);
+
+app.post('/batch', async (req, res) => {
+  const { error, value } = workflowSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  try {
+    prepareWorkflowSteps(value.steps);
+  } catch (stepError) {
+    return res.status(400).json({ error: stepError.message });
+  }
+
+  res.json(await runWorkflow(value, value.input || {}, req.get(SESSION_HEADER), { apiKey: req.apiKey }));
+});
+
+// Saved workflows, each exposed as POST /workflows/{name}/run
+app.get('/workflows', requireScope('admin'), (req, res) => {
+  res.json({ workflows: Object.values(storage.entries('workflows')).filter(Boolean) });
+});
+
+function validateSavedWorkflow(input) {
+  const { error, value } = savedWorkflowSchema.validate(input);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+  try {
+    prepareWorkflowSteps(value.steps);
+  } catch (stepError) {
+    return { error: stepError.message };
+  }
+  return { value };
+}
+
+app.post('/workflows', requireScope('admin'), (req, res) => {
+  const { error, value } = validateSavedWorkflow(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (storage.get('workflows', value.name)) {
+    return res.status(409).json({ error: `Workflow ${value.name} already exists` });
+  }
+
+  const workflow = { ...value, created: new Date().toISOString() };
+  storage.set('workflows', value.name, workflow);
+  res.status(201).json({ success: true, workflow });
+});
+
+app.get('/workflows/:name', requireScope('admin'), (req, res) => {
+  const workflow = storage.get('workflows', req.params.name);
+  if (!workflow) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+  res.json(workflow);
+});
+
+app.put('/workflows/:name', requireScope('admin'), (req, res) => {
+  const existing = storage.get('workflows', req.params.name);
+  if (!existing) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+
+  const { error, value } = validateSavedWorkflow({ ...req.body, name: req.params.name });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const workflow = { ...value, created: existing.created, updated: new Date().toISOString() };
+  storage.set('workflows', value.name, workflow);
+  res.json({ success: true, workflow });
+});
+
+app.delete('/workflows/:name', requireScope('admin'), (req, res) => {
+  if (!storage.get('workflows', req.params.name)) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+  storage.delete('workflows', req.params.name);
+  res.json({ success: true, message: 'Workflow deleted' });
+});
+
+// Run a saved workflow; the body holds its input, ?async=true runs it as a job
+app.post('/workflows/:name/run', async (req, res) => {
+  const workflow = storage.get('workflows', req.params.name);
+  if (!workflow) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+
+  try {
+    const input = resolveWorkflowInput(workflow, req.body || {});
+    if (req.query.async === 'true') {
+      return sendJobAccepted(res, enqueueWorkflowJob('workflow', workflow, input, req.get(SESSION_HEADER), { workflow: workflow.name, input }, req.apiKey));
+    }
+    res.json({ workflow: workflow.name, ...(await runWorkflow(workflow, input, req.get(SESSION_HEADER), { apiKey: req.apiKey })) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Async jobs: long requests and large batches run in a bounded worker queue while the
+// client polls GET /jobs/{id}. Job state lives in storage so every process can report it.
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_MAX_QUEUE = parseInt(process.env.JOB_MAX_QUEUE) || 100;
+const JOB_MAX_REQUESTS = parseInt(process.env.JOB_MAX_REQUESTS) || 100;
+const JOB_RETENTION = (parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+const JOB_STALE_AFTER = 5 * 60 * 1000; // jobs of a process that stopped touching them
+
+const jobQueue = {
+  pending: [], // { id, run } waiting for a worker
+  active: 0,
+  local: new Set() // ids of queued and running jobs owned by this process
+};
+
+const jobSchema = Joi.object({
+  domain: Joi.string().optional(),
+  path: Joi.string().allow('').default(''),
+  method: Joi.string().valid('GET', 'POST').default('GET'),
+  query: Joi.object().optional(),
+  data: Joi.object().optional(),
+  sessionId: Joi.string().pattern(/^[\w.-]{1,128}$/).optional(),
+  requests: Joi.array().items(workflowStepSchema).min(1).max(JOB_MAX_REQUESTS).optional(),
+  concurrency: Joi.number().integer().min(1).max(10).optional(),
+  input: Joi.object().optional()
+}).xor('domain', 'requests');
 
-    return content;
-  } finally {
-    await browser.close();
-  }
+// Apply updater to a stored job; resolves to the updated job, or null when it was deleted
+function updateJob(id, updater) {
+  return storage.update('jobs', id, job => (job ? { ...updater(job), updated: new Date().toISOString() } : null));
 }
 
-// Cache management functions
-function getCacheKey(domain, path, method = 'GET') {
-  return `${method}:${domain}:${path}`;
+function describeJob(job) {
+  const { cancelRequested, ...details } = job;
+  return details.status === 'running' && cancelRequested ? { ...details, status: 'cancelling' } : details;
 }
 
-function getCachedResponse(key) {
-  return memoryCache.get(key);
-}
+// Create a job and queue its work; run(context) reports progress and checks for cancellation.
+// owner is the id of the API key that created the job
+function enqueueJob(type, request, total, run, owner = null) {
+  if (jobQueue.pending.length >= JOB_MAX_QUEUE) {
+    const error = new Error('Job queue is full, try again later');
+    error.statusCode = 503;
+    error.code = 'JOB_QUEUE_FULL';
+    throw error;
+  }
 
-function setCachedResponse(key, data, ttl = 300000) { // 5 minutes default
-  memoryCache.put(key, data, ttl);
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    owner,
+    status: 'queued',
+    request,
+    progress: { completed: 0, total },
+    created: now,
+    updated: now,
+    started: null,
+    finished: null,
+    result: null,
+    error: null
+  };
+  storage.set('jobs', job.id, job);
+  jobQueue.local.add(job.id);
+  jobQueue.pending.push({ id: job.id, run });
+  drainJobQueue();
+  return job;
 }
 
-// Enhanced API call with caching
-async function makeAPICall(domain, path, method = 'GET', data = null, config) {
-  // Check circuit breaker
-  if (!canProceed(domain)) {
-    throw new Error('Circuit breaker is open for this domain');
+function drainJobQueue() {
+  while (!shuttingDown && jobQueue.active < JOB_CONCURRENCY && jobQueue.pending.length > 0) {
+    const entry = jobQueue.pending.shift();
+    jobQueue.active++;
+    executeJob(entry)
+      .catch(error => console.error('Job error:', error.message))
+      .finally(() => {
+        jobQueue.active--;
+        jobQueue.local.delete(entry.id);
+        drainJobQueue();
+      });
   }
+}
 
-  const cacheKey = getCacheKey(domain, path, method);
+async function executeJob({ id, run }) {
+  const started = await updateJob(id, job => (job.status === 'queued' ? { ...job, status: 'running', started: new Date().toISOString() } : job));
+  if (!started || started.status !== 'running') {
+    return; // Cancelled or deleted while queued
+  }
 
-  // Try to get from cache first (only for GET requests)
-  if (method === 'GET') {
-    const cached = getCachedResponse(cacheKey);
-    if (cached) {
-      return { ...cached, cached: true };
+  const context = {
+    progress: completed => updateJob(id, job => ({ ...job, progress: { ...job.progress, completed } }))
+      .catch(error => console.error('Job error:', error.message)),
+    isCancelled: () => {
+      const job = storage.get('jobs', id);
+      return !job || !!job.cancelRequested;
     }
-  }
+  };
 
-  const url = `${config.baseUrl}/${path}`;
-  const jar = await getCookieJar(domain, config.baseUrl, config);
-  const axiosInstance = cookieJarSupport(axios.create({ jar }));
+  let outcome;
+  try {
+    const result = await run(context);
+    outcome = { status: 'completed', result };
+  } catch (error) {
+    outcome = { status: 'failed', error: { message: error.message, code: error.code || null, statusCode: error.statusCode || 500 } };
+  }
 
-  // Configure retry logic with exponential backoff
-  axiosRetry(axiosInstance, {
-    retries: 3,
-    retryDelay: axiosRetry.exponentialDelay,
-    retryCondition: (error) => {
-      return axiosRetry.isNetworkOrIdempotentRequestError(error) || error.code === 'ECONNRESET';
+  await updateJob(id, job => {
+    const finished = { ...job, finished: new Date().toISOString() };
+    if (job.cancelRequested) {
+      return { ...finished, status: 'cancelled' };
     }
+    return { ...finished, ...outcome, progress: outcome.status === 'completed' ? { ...job.progress, completed: job.progress.total } : job.progress };
   });
+}
 
-  let html;
+// Queue a single API request, recording metrics the way the /api handlers do
+function enqueueApiJob(domain, path, method, data, options, apiKey = null) {
+  const request = { domain, path, method, query: options.query || {}, sessionId: options.sessionId || null };
+  return enqueueJob('request', request, 1, async () => {
+    const config = getConfig(domain);
+    if (!config) {
+      const error = new Error(`Domain ${domain} not configured`);
+      error.statusCode = 404;
+      throw error;
+    }
 
-  if (method === 'GET' && config.useBrowser) {
-    // Use headless browser for JS execution
-    html = await getPageWithBrowser(url, jar);
-  } else {
-    // Use axios for regular requests
-    const axiosConfig = {
-      method,
-      url,
-      headers: {
-        'User-Agent': 'HTML-to-API-Proxy/1.0'
+    const start = Date.now();
+    try {
+      const result = await makeAPICall(domain, path, method, data, config, options);
+      recordRequestMetrics(domain, Date.now() - start);
+      if (fromUpstream(result)) {
+        recordSuccess(domain);
       }
-    };
-
-    if (method === 'POST' && data) {
-      if (data.files && data.files.length > 0) {
-        // Handle file uploads
-        const form = new FormData();
-
-        // Add form fields
-        Object.keys(data.body || {}).forEach(key => {
-          form.append(key, data.body[key]);
-        });
-
-        // Add files
-        data.files.forEach(file => {
-          form.append(file.fieldname, file.buffer, {
-            filename: file.originalname,
-            contentType: file.mimetype
-          });
-        });
-
-        axiosConfig.data = form;
-        axiosConfig.headers = { ...axiosConfig.headers, ...form.getHeaders() };
-      } else {
-        // Regular form data
-        axiosConfig.data = data.body || data;
-        axiosConfig.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      return result;
+    } catch (error) {
+      recordErrorMetric();
+      if (isUpstreamFailure(error)) {
+        recordFailure(domain);
       }
+      emitRequestError(domain, config, method, path, error);
+      throw error;
     }
+  }, apiKey ? apiKey.id : null);
+}
 
-    const response = await axiosInstance.request(axiosConfig);
-    html = response.data;
-  }
+// Queue a workflow (a batch or a saved workflow); cancelling skips the steps not started yet
+function enqueueWorkflowJob(type, workflow, input, sessionId, request, apiKey = null) {
+  return enqueueJob(type, request, workflow.steps.length, context => runWorkflow(workflow, input, sessionId, {
+    apiKey,
+    isCancelled: context.isCancelled,
+    onStepFinished: context.progress
+  }), apiKey ? apiKey.id : null);
+}
 
-  const $ = cheerio.load(html);
-  let extractedData = extractData($, config);
+// Reply 202 with the job of an async request
+function sendJobAccepted(res, job) {
+  res.status(202).location(`/jobs/${job.id}`).json({ success: true, job: describeJob(job) });
+}
 
-  // Handle pagination if configured
-  if (method === 'GET' && config.pagination) {
-    extractedData = await handlePagination($, config, axiosInstance);
+// Drop finished jobs after the retention period and fail jobs whose process went away
+async function purgeJobs() {
+  const now = Date.now();
+  for (const job of Object.values(storage.entries('jobs'))) {
+    if (!job) {
+      continue;
+    }
+    if (jobQueue.local.has(job.id)) {
+      await updateJob(job.id, current => current); // Keep our jobs from looking stale
+    } else if (job.finished && now - new Date(job.finished).getTime() > JOB_RETENTION) {
+      storage.delete('jobs', job.id);
+    } else if (!job.finished && now - new Date(job.updated).getTime() > JOB_STALE_AFTER) {
+      await updateJob(job.id, current => ({
+        ...current,
+        status: 'failed',
+        finished: new Date().toISOString(),
+        error: { message: 'Job was interrupted (server restarted)', code: 'JOB_INTERRUPTED', statusCode: 500 }
+      }));
+    }
   }
+}
 
-  const result = {
-    domain,
-    url,
-    data: extractedData,
-    timestamp: new Date().toISOString(),
-    status: response.status
-  };
+setInterval(() => purgeJobs().catch(error => console.error('Job purge error:', error.message)), 60 * 1000);
 
-  // Cache GET responses
-  if (method === 'GET') {
-    setCachedResponse(cacheKey, result);
+function getJobStats() {
+  return { queued: jobQueue.pending.length, running: jobQueue.active, concurrency: JOB_CONCURRENCY, maxQueue: JOB_MAX_QUEUE };
+}
+
+// Job endpoints
+app.post('/jobs', (req, res) => {
+  const { error, value } = jobSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
   }
 
-  // Send webhook notification if configured
-  if (config.webhookUrl) {
-    axios.post(config.webhookUrl, result).catch(err => console.error('Webhook failed:', err));
+  const sessionId = value.sessionId || req.get(SESSION_HEADER);
+  try {
+    if (value.requests) {
+      const workflow = { steps: value.requests, concurrency: value.concurrency || 1 };
+      prepareWorkflowSteps(workflow.steps);
+      const request = { requests: value.requests.map(({ data, ...step }) => step), concurrency: workflow.concurrency };
+      return sendJobAccepted(res, enqueueWorkflowJob('batch', workflow, value.input || {}, sessionId, request, req.apiKey));
+    }
+    if (!getConfig(value.domain)) {
+      return res.status(404).json({ error: `Domain ${value.domain} not configured` });
+    }
+    const scope = `${value.method === 'POST' ? 'write' : 'read'}:${value.domain}`;
+    if (!hasScope(req.apiKey, scope)) {
+      throw forbidden(scope);
+    }
+    const job = enqueueApiJob(value.domain, value.path.replace(/^\/+/, ''), value.method, value.data || null, {
+      query: value.query,
+      sessionId
+    }, req.apiKey);
+    sendJobAccepted(res, job);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
   }
+});
 
-  return result;
+// Keys see the jobs they created; admin keys see every job
+function canAccessJob(apiKey, job) {
+  return hasScope(apiKey, 'admin') || job.owner === apiKey.id;
 }
 
-// Dynamic API endpoint generation
-app.get('/api/:domain/*', async (req, res) => {
-  const domain = req.params.domain;
-  const path = req.params[0] || '';
-  const config = websiteConfigs[domain];
-
-  if (!config) {
-    metrics.totalErrors++;
-    return res.status(404).json({ error: `Domain ${domain} not configured` });
-  }
+app.get('/jobs', (req, res) => {
+  const jobs = Object.values(storage.entries('jobs'))
+    .filter(job => job && canAccessJob(req.apiKey, job) && (!req.query.status || job.status === req.query.status))
+    .sort((a, b) => b.created.localeCompare(a.created))
+    .map(({ result, ...job }) => describeJob(job));
+  res.json({ jobs, stats: getJobStats() });
+});
 
-  const start = Date.now();
-  try {
-    const result = await makeAPICall(domain, path, 'GET', null, config);
-    const end = Date.now();
-    metrics.totalRequests++;
-    metrics.requestCountByDomain[domain] = (metrics.requestCountByDomain[domain] || 0) + 1;
-    metrics.responseTimeSum += (end - start);
-    metrics.responseTimeCount++;
-    recordSuccess(domain);
-    res.json(result);
-  } catch (error) {
-    metrics.totalErrors++;
-    recordFailure(domain);
-    console.error('Error fetching page:', error);
-    res.status(500).json({ error: 'Failed to fetch page', details: error.message });
+app.get('/jobs/:id', (req, res) => {
+  const job = storage.get('jobs', req.params.id);
+  if (!job || !canAccessJob(req.apiKey, job)) {
+    return res.status(404).json({ error: 'Job not found' });
   }
+  res.json(describeJob(job));
 });
 
-// POST endpoint for form submissions
-app.post('/api/:domain/*', upload.any(), async (req, res) => {
-  const domain = req.params.domain;
-  const path = req.params[0] || '';
-  const config = websiteConfigs[domain];
+// Cancel a queued or running job, or delete a finished one
+app.delete('/jobs/:id', async (req, res) => {
+  const job = storage.get('jobs', req.params.id);
+  if (!job || !canAccessJob(req.apiKey, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-  if (!config) {
-    metrics.totalErrors++;
-    return res.status(404).json({ error: `Domain ${domain} not configured` });
+  if (job.finished) {
+    storage.delete('jobs', job.id);
+    return res.json({ success: true, message: 'Job deleted' });
   }
 
-  const start = Date.now();
+  // A running job stops at its next checkpoint and its result is discarded
+  let updated;
   try {
-    const result = await makeAPICall(domain, path, 'POST', req, config);
-    const end = Date.now();
-    metrics.totalRequests++;
-    metrics.requestCountByDomain[domain] = (metrics.requestCountByDomain[domain] || 0) + 1;
-    metrics.responseTimeSum += (end - start);
-    metrics.responseTimeCount++;
-    recordSuccess(domain);
-    res.json(result);
+    updated = await updateJob(job.id, current => (current.status === 'queued'
+      ? { ...current, status: 'cancelled', finished: new Date().toISOString() }
+      : { ...current, cancelRequested: true }));
   } catch (error) {
-    metrics.totalErrors++;
-    recordFailure(domain);
-    console.error('Error submitting form:', error);
-    res.status(500).json({ error: 'Failed to submit form', details: error.message });
+    return res.status(500).json({ error: 'Failed to cancel job', details: error.message });
   }
+  if (jobQueue.pending.some(entry => entry.id === job.id)) {
+    jobQueue.pending = jobQueue.pending.filter(entry => entry.id !== job.id);
+    jobQueue.local.delete(job.id);
+  }
+  res.status(updated.status === 'cancelled' ? 200 : 202).json({ success: true, job: describeJob(updated) });
 });
 
-// Configuration endpoints
-app.get('/config', (req, res) => {
-  res.json(websiteConfigs);
-});
+// Derive a JSON schema for the value produced by a selector spec
+function selectorToSchema(spec) {
+  if (typeof spec === 'string') {
+    return { type: 'string' };
+  }
 
-app.post('/config', (req, res) => {
-  const { error, value } = configSchema.validate(req.body);
+  if (spec.type === 'array') {
+    return {
+      type: 'array',
+      items: spec.fields ? fieldsToSchema(spec.fields) : { type: 'object', properties: { text: { type: 'string' } } }
+    };
+  }
 
-  if (error) {
-    return res.status(400).json({ error: error.details[0].message });
+  if (spec.type === 'object') {
+    return fieldsToSchema(spec.fields);
   }
 
-  const { domain, baseUrl, selectors, auth, webhookUrl, useBrowser, pagination } = value;
+  if (spec.type === 'table') {
+    return { type: 'array', items: { type: 'object', additionalProperties: { type: 'string' } } };
+  }
 
-  websiteConfigs[domain] = {
-    baseUrl,
-    selectors: selectors || {},
-    auth: auth || null,
-    webhookUrl: webhookUrl || null,
-    useBrowser: useBrowser || false,
-    pagination: pagination || null,
-    created: new Date().toISOString()
-  };
+  // Field specs: the last type-changing transform decides the value type
+  let schema = { type: 'string' };
+  [].concat(spec.transforms || []).forEach(transform => {
+    const type = typeof transform === 'string' ? transform : transform.type;
+    if (type === 'number') {
+      schema = { type: 'number', nullable: true };
+    } else if (type === 'currency') {
+      schema = {
+        type: 'object',
+        properties: { amount: { type: 'number', nullable: true }, currency: { type: 'string', nullable: true } }
+      };
+    } else if (type === 'date') {
+      schema = { type: 'string', format: 'date-time', nullable: true };
+    } else if (type === 'absoluteUrl') {
+      schema = { type: 'string', format: 'uri' };
+    } else if (type === 'regex') {
+      schema = { type: 'string', nullable: true };
+    }
+  });
+  if (spec.html) {
+    schema.description = 'Inner HTML';
+  }
+  return spec.multiple ? { type: 'array', items: schema } : schema;
+}
 
-  saveConfig();
-  res.json({ success: true, config: websiteConfigs[domain] });
-});
+function fieldsToSchema(fields) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  Object.keys(fields || {}).forEach(key => {
+    schema.properties[key] = selectorToSchema(fields[key]);
+    if (fields[key].required) {
+      required.push(key);
+    }
+  });
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
 
-app.delete('/config/:domain', (req, res) => {
-  const domain = req.params.domain;
+// Envelope returned by every /api call
+function responseSchema(selectors) {
+  const data = fieldsToSchema(selectors);
+  data.properties.forms = { $ref: '#/components/schemas/Form' };
+  return {
+    type: 'object',
+    properties: {
+      domain: { type: 'string' },
+      url: { type: 'string', format: 'uri' },
+      data,
+      timestamp: { type: 'string', format: 'date-time' },
+      status: { type: 'integer' },
+      cached: { type: 'boolean' },
+      cache: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['miss', 'hit', 'stale', 'revalidated'] },
+          age: { type: 'integer' },
+          maxAge: { type: 'integer' }
+        }
+      },
+      pagination: {
+        type: 'object',
+        properties: {
+          strategy: { type: 'string', enum: PAGINATION_STRATEGIES },
+          mode: { type: 'string', enum: ['merge', 'cursor'] },
+          pages: { type: 'integer', description: 'Pages merged into data (merge mode)' },
+          page: { type: 'integer', description: 'Page number of this response (cursor mode)' },
+          next: { type: 'string', nullable: true, description: 'Cursor for the next page, null on the last page (cursor mode)' }
+        }
+      },
+      extraction: {
+        type: 'object',
+        description: 'Selector version and fallback alternatives that matched',
+        properties: {
+          version: { type: 'string' },
+          selectors: { type: 'object', additionalProperties: { type: 'object', properties: { index: { type: 'integer' }, selector: { type: 'string', nullable: true } } } }
+        }
+      }
+    }
+  };
+}
 
-  if (!websiteConfigs[domain]) {
-    return res.status(404).json({ error: 'Domain not found' });
+// OpenAPI parameters for configured query rules
+function queryParameters(rules) {
+  if (!rules || rules.forward === false) {
+    return [];
   }
+  const params = rules.params || {};
+  const names = Object.keys(params).concat((rules.allow || []).filter(name => !params[name]));
+  return names.map(name => {
+    const rule = params[name] || {};
+    const schema = { type: rule.type || 'string' };
+    if (rule.min !== undefined) {
+      schema[schema.type === 'string' ? 'minLength' : 'minimum'] = rule.min;
+    }
+    if (rule.max !== undefined) {
+      schema[schema.type === 'string' ? 'maxLength' : 'maximum'] = rule.max;
+    }
+    if (rule.pattern) {
+      schema.pattern = rule.pattern;
+    }
+    if (rule.enum) {
+      schema.enum = rule.enum;
+    }
+    if (rules.defaults && rules.defaults[name] !== undefined) {
+      schema.default = rules.defaults[name];
+    }
+    return { name, in: 'query', required: !!rule.required, schema };
+  });
+}
 
-  delete websiteConfigs[domain];
-  saveConfig();
-  res.json({ success: true });
-});
+// OpenAPI parameter for the cursor of cursor-paginated endpoints
+function paginationParameters(pagination) {
+  if (!pagination || pagination.mode !== 'cursor') {
+    return [];
+  }
+  return [{ name: 'cursor', in: 'query', required: false, description: 'Cursor from pagination.next of the previous page', schema: { type: 'string' } }];
+}
 
-// Session management endpoints
-app.get('/sessions', (req, res) => {
-  const sessions = {};
-  Object.keys(sessionStore).forEach(domain => {
-    const session = sessionStore[domain];
-    sessions[domain] = {
-      baseUrl: session.baseUrl,
-      lastUsed: session.lastUsed,
-      cookieCount: session.jar.getCookiesSync(session.baseUrl).length
+// Request body schema for a discovered HTML form
+function formToSchema(form) {
+  const schema = { type: 'object', properties: {} };
+  form.inputs.forEach(input => {
+    if (!input.name || ['submit', 'button', 'reset', 'image'].includes(input.type)) {
+      return;
+    }
+    schema.properties[input.name] = {
+      type: 'string',
+      format: input.type === 'file' ? 'binary' : undefined,
+      default: input.value,
+      description: input.type === 'hidden' ? 'Hidden field' : input.placeholder
     };
   });
-  res.json(sessions);
-});
+  return schema;
+}
 
-app.delete('/sessions/:domain', (req, res) => {
-  const domain = req.params.domain;
+function apiOperation(domain, summary, selectors, parameters, tags) {
+  return {
+    tags,
+    summary,
+    parameters,
+    responses: {
+      200: { description: `Data extracted from ${domain}`, content: { 'application/json': { schema: responseSchema(selectors) } } },
+      400: { description: 'Invalid request', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+      500: { description: 'Upstream request failed', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+    }
+  };
+}
 
-  if (!sessionStore[domain]) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
+// Generate an OpenAPI 3 document describing the configured domains the API key can read
+function buildOpenApiSpec(apiKey) {
+  const paths = {};
 
-  delete sessionStore[domain];
-  saveSessions();
-  res.json({ success: true });
-});
+  const configs = {};
+  Object.entries(getAllConfigs())
+    .filter(([domain]) => hasScope(apiKey, `read:${domain}`))
+    .forEach(([domain, config]) => {
+      configs[domain] = config;
+    });
 
-app.delete('/sessions', (req, res) => {
-  sessionStore = {};
-  saveSessions();
-  res.json({ success: true, message: 'All sessions cleared' });
-});
+  Object.keys(configs).forEach(domain => {
+    const config = configs[domain];
+    const tags = [domain];
 
-// Cache management endpoints
-app.get('/cache/stats', (req, res) => {
-  res.json({
-    cacheSize: memoryCache.size(),
-    cacheKeys: memoryCache.keys(),
-    cacheInfo: 'Memory cache active'
-  });
-});
+    (config.routes || []).forEach(route => {
+      const routePath = `/api/${domain}/${route.path.replace(/^\/+/, '').replace(/:(\w+)/g, '{$1}')}`;
+      const pathParams = (route.path.match(/:(\w+)/g) || []).map(param => ({
+        name: param.slice(1), in: 'path', required: true, schema: { type: 'string' }
+      }));
+      const operation = apiOperation(
+        domain,
+        route.name || `${route.method || 'GET'} ${route.path}`,
+        route.selectors || config.selectors,
+        pathParams.concat(queryParameters(route.query || config.query))
+          .concat((route.method || 'GET') === 'GET' ? paginationParameters(route.pagination !== undefined ? route.pagination : config.pagination) : []),
+        tags
+      );
+      operation.description = `Upstream: ${config.baseUrl}/${route.upstream}`;
+      if ((route.method || 'GET') === 'POST') {
+        operation.requestBody = { content: { 'application/x-www-form-urlencoded': { schema: { type: 'object' } } } };
+      }
+      paths[routePath] = paths[routePath] || {};
+      paths[routePath][(route.method || 'GET').toLowerCase()] = operation;
+    });
 
-app.delete('/cache', (req, res) => {
-  memoryCache.clear();
-  res.json({ success: true, message: 'Cache cleared' });
-});
+    if (config.routesOnly) {
+      return;
+    }
 
-// Data extraction function
-function extractData($, config) {
-  const data = {};
-
-  // Extract data based on configured selectors
-  if (config.selectors) {
-    Object.keys(config.selectors).forEach(key => {
-      const selector = config.selectors[key];
-      if (typeof selector === 'string') {
-        data[key] = $(selector).text().trim();
-      } else if (selector.type === 'array') {
-        data[key] = [];
-        $(selector.selector).each((i, el) => {
-          const item = {};
-          if (selector.fields) {
-            Object.keys(selector.fields).forEach(field => {
-              item[field] = $(el).find(selector.fields[field]).text().trim();
-            });
-          } else {
-            item.text = $(el).text().trim();
+    const wildcardPath = `/api/${domain}/{path}`;
+    const pathParam = { name: 'path', in: 'path', required: true, description: `Page path relative to ${config.baseUrl}`, schema: { type: 'string' } };
+    const query = queryParameters(config.query);
+    paths[wildcardPath] = {
+      get: apiOperation(domain, `Fetch and parse a page of ${domain}`, config.selectors, [pathParam].concat(query, paginationParameters(config.pagination)), tags),
+      post: {
+        ...apiOperation(domain, `Submit form data to ${domain}`, config.selectors, [pathParam].concat(query), tags),
+        requestBody: {
+          content: {
+            'application/x-www-form-urlencoded': { schema: { type: 'object' } },
+            'multipart/form-data': { schema: { type: 'object' } }
           }
-          data[key].push(item);
-        });
+        }
       }
-    });
-  }
-
-  // Extract forms
-  data.forms = [];
-  $('form').each((i, form) => {
-    const $form = $(form);
-    const formData = {
-      action: $form.attr('action'),
-      method: $form.attr('method') || 'GET',
-      inputs: []
     };
 
-    $form.find('input, select, textarea').each((j, input) => {
-      const $input = $(input);
-      formData.inputs.push({
-        name: $input.attr('name'),
-        type: $input.attr('type'),
-        value: $input.attr('value'),
-        placeholder: $input.attr('placeholder')
+    // Document forms seen on fetched pages as concrete POST endpoints
+    Object.keys(discoveredForms[domain] || {}).forEach(pagePath => {
+      const { pageUrl, forms } = discoveredForms[domain][pagePath];
+      forms.forEach((form, index) => {
+        if ((form.method || 'GET').toUpperCase() !== 'POST') {
+          return;
+        }
+        let actionPath;
+        try {
+          const actionUrl = new URL(form.action || '', pageUrl);
+          const base = new URL(config.baseUrl);
+          if (actionUrl.origin !== base.origin) {
+            return;
+          }
+          actionPath = actionUrl.pathname.replace(/^\/+/, '');
+        } catch (error) {
+          return;
+        }
+        const formPath = `/api/${domain}/${actionPath}`;
+        if (paths[formPath] && paths[formPath].post) {
+          return;
+        }
+        paths[formPath] = paths[formPath] || {};
+        paths[formPath].post = {
+          ...apiOperation(domain, `Submit form #${index} found on ${pagePath || '/'}`, config.selectors, [], tags),
+          requestBody: {
+            content: {
+              'application/x-www-form-urlencoded': { schema: formToSchema(form) },
+              'multipart/form-data': { schema: formToSchema(form) }
+            }
+          }
+        };
       });
     });
-
-    data.forms.push(formData);
   });
 
-  return data;
-}
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-// Batch operations endpoint
-app.post('/batch', async (req, res) => {
-  const { requests } = req.body;
-
-  if (!Array.isArray(requests)) {
-    return res.status(400).json({ error: 'requests must be an array' });
-  }
-
-  if (requests.length > 10) {
-    return res.status(400).json({ error: 'Maximum 10 requests per batch' });
-  }
-
-  const results = [];
-
-  for (const request of requests) {
-    const { domain, path, method = 'GET', data } = request;
-
-    if (!domain || !websiteConfigs[domain]) {
-      results.push({ success: false, error: `Domain ${domain} not configured` });
-      continue;
-    }
-
-    try {
-      const result = await makeAPICall(domain, path, method, data, websiteConfigs[domain]);
-      results.push({ success: true, result });
-    } catch (error) {
-      results.push({ success: false, error: error.message });
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'HTML-to-API Proxy',
+      version: '1.0.0',
+      description: 'APIs generated from the configured HTML websites.'
+    },
+    servers: [{ url: '/' }],
+    tags: Object.keys(configs).map(domain => ({ name: domain, description: configs[domain].baseUrl })),
+    paths,
+    security: authenticationEnabled() ? [{ apiKey: [] }] : undefined,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', description: 'API key with a read:<domain> (GET) or write:<domain> (POST) scope' }
+      },
+      schemas: {
+        Form: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              action: { type: 'string' },
+              method: { type: 'string' },
+              enctype: { type: 'string' },
+              inputs: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    type: { type: 'string' },
+                    value: { type: 'string' },
+                    placeholder: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' }, details: { type: 'string' } }
+        }
+      }
     }
-  }
+  };
+}
 
-  res.json({ results });
+// OpenAPI document generated from the stored configurations
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec(req.apiKey));
 });
 
 // Help endpoint
@@ -706,54 +4826,204 @@ app.get('/help', (req, res) => {
       'Form Detection and Submission',
       'Session Management',
       'Response Caching',
+      'API Keys with scoped roles and per-key rate limits',
       'Rate Limiting',
       'IP Whitelisting',
       'File Upload Support',
       'Authentication Automation',
-      'JavaScript Execution with headless browser',
-      'Webhook Integration',
+      'JavaScript Execution with a pooled headless browser',
+      'Signed Webhooks with retries and a delivery log',
+      'Change Detection Watches',
+      'Live Streams over Server-Sent Events and WebSocket',
+      'Cron Scheduled Scrapes with a result archive',
+      'Async Jobs with a bounded worker queue',
       'Monitoring Dashboard',
       'Real-time Testing Interface',
       'Batch Operations',
+      'Workflows with step templates, parallel steps and error policies',
       'Audit Logging',
       'CORS Policies',
       'Configuration Validation',
       'Circuit Breaker',
-      'Pagination Detection'
+      'Pagination Detection',
+      'Pluggable Storage (JSON files or SQLite)'
     ],
     endpoints: {
       'GET /': 'Serves the web interface',
       'GET /config': 'List all configurations',
       'POST /config': 'Add new configuration',
+      'GET /config/{domain}': 'Get one configuration',
+      'PUT /config/{domain}': 'Replace a configuration',
+      'PATCH /config/{domain}': 'Partially update a configuration (JSON merge patch)',
       'DELETE /config/{domain}': 'Remove configuration',
-      'GET /api/{domain}/{path}': 'Fetch and parse HTML page',
+      'GET /config/{domain}/versions': 'List configuration versions',
+      'GET /config/{domain}/versions/{version}': 'Get a configuration version',
+      'GET /config/{domain}/diff?from=&to=': 'Diff two configuration versions',
+      'POST /config/{domain}/rollback': 'Restore a configuration version',
+      'GET /api/{domain}/{path}': 'Fetch and parse HTML page (?async=true queues it as a job)',
       'POST /api/{domain}/{path}': 'Submit form data',
-      'POST /batch': 'Execute multiple requests in batch',
+      'GET /stream/{domain}/{path}': 'Server-Sent Events stream of the extracted data, pushed when it changes (also a WebSocket endpoint)',
+      'GET /schedules': 'List scheduled scrapes (?domain=)',
+      'POST /schedules': 'Create a scheduled scrape: { name, domain, path, query, cron, archive, enabled }',
+      'GET /schedules/{id}': 'Get a scheduled scrape with its recent runs',
+      'PUT /schedules/{id}': 'Replace a scheduled scrape',
+      'DELETE /schedules/{id}': 'Delete a scheduled scrape',
+      'POST /schedules/{id}/run': 'Run a scheduled scrape now',
+      'GET /archive/{domain}/{path}': 'Archived results of scheduled scrapes (?from=&to=&limit=)',
+      'POST /batch': 'Run a workflow: { steps (or requests), concurrency, input }',
+      'GET /workflows': 'List saved workflows',
+      'POST /workflows': 'Save a workflow: { name, description, steps, concurrency, inputs }',
+      'GET /workflows/{name}': 'Get a saved workflow',
+      'PUT /workflows/{name}': 'Replace a saved workflow',
+      'DELETE /workflows/{name}': 'Delete a saved workflow',
+      'POST /workflows/{name}/run': 'Run a saved workflow with the body as its input (?async=true queues it as a job)',
+      'POST /jobs': 'Queue a request { domain, path, method, query, data } or a batch { requests, concurrency, input } as an async job',
+      'GET /jobs': 'List async jobs (?status=)',
+      'GET /jobs/{id}': 'Async job status, progress and result',
+      'DELETE /jobs/{id}': 'Cancel a queued or running job, or delete a finished one',
+      'GET /watches': 'List change detection watches (?domain=)',
+      'POST /watches': 'Create a watch: { name, domain, path, query, interval, fields, key, enabled }',
+      'GET /watches/{id}': 'Get a watch with its last result and recent changes',
+      'PUT /watches/{id}': 'Replace a watch definition',
+      'DELETE /watches/{id}': 'Delete a watch',
+      'POST /watches/{id}/run': 'Run a watch now',
       'GET /sessions': 'List active sessions',
-      'DELETE /sessions/{domain}': 'Clear session for domain',
+      'POST /sessions': 'Create a client session (use its id in the X-Session-Id header)',
+      'GET /sessions/{domain}/{sessionId}': 'Get a client session',
+      'POST /sessions/{domain}/{sessionId}/expire': 'Expire a client session',
+      'DELETE /sessions/{domain}/{sessionId}': 'Delete a client session',
+      'DELETE /sessions/{domain}': 'Clear the shared session for domain',
       'DELETE /sessions': 'Clear all sessions',
       'GET /cache/stats': 'Get cache statistics',
       'DELETE /cache': 'Clear all cached responses',
-      'GET /metrics': 'Get usage metrics',
+      'DELETE /cache/{domain}': 'Clear the cached responses of domain',
+      'DELETE /cache/{domain}/{path}': 'Clear the cached responses of one API path',
+      'GET /webhooks/deliveries': 'List webhook deliveries (?domain=&event=&status=&limit=)',
+      'GET /webhooks/deliveries/{id}': 'Get a webhook delivery with its payload and attempts',
+      'POST /webhooks/deliveries/{id}/redeliver': 'Send a webhook delivery again',
+      'GET /keys': 'List API keys (admin)',
+      'POST /keys': 'Create an API key: { name, scopes, rateLimit, expiresAt } (the key is only shown in this response)',
+      'GET /keys/{id}': 'Get an API key',
+      'DELETE /keys/{id}': 'Revoke an API key',
+      'GET /metrics': 'Get usage metrics, with requests per API key',
       'GET /health': 'Health check',
+      'GET /health/{domain}': 'Selector monitoring report for domain',
+      'POST /health/{domain}/check': 'Run the canary checks for domain now',
+      'GET /openapi.json': 'OpenAPI 3 document for the configured domains',
+      'GET /docs.html': 'Browsable API documentation',
       'GET /help': 'This help information'
     },
     configuration: {
       domain: 'Domain name (required)',
       baseUrl: 'Base URL (required)',
       selectors: 'CSS selectors for data extraction (optional)',
-      webhookUrl: 'URL for webhook notifications (optional)',
+      selectorVersions: 'Alternative selector sets: [{ name, marker, selectors }] (optional)',
+      webhookUrl: 'URL that receives success and selector-drift events, signed with WEBHOOK_SECRET (optional)',
+      webhooks: 'Webhook targets: [{ url, events: [success | error | data-changed | selector-drift | watch-changed], secret, headers, enabled }] (optional)',
       auth: {
         username: 'Username for authentication',
         password: 'Password for authentication',
-        loginPath: 'Login endpoint path'
+        loginPath: 'Path of the page with the login form',
+        form: 'Login form to use: { index | id | name | selector } (optional)',
+        usernameField: 'Username input name (auto-detected by default)',
+        passwordField: 'Password input name (auto-detected by default)',
+        extraFields: 'Additional fields sent with the credentials (optional)',
+        successSelector: 'Selector that must be present after a successful login (optional)',
+        successUrl: 'Regex the URL after login must match (optional)',
+        failureSelector: 'Selector that indicates rejected credentials (optional)',
+        expiredSelector: 'Selector that marks an expired session on later pages (optional)'
       },
       useBrowser: 'Use headless browser for JS execution (boolean, optional)',
+      browserSteps: 'Browser mode steps run before extraction: [{ action: waitForSelector | click | type | select | scroll | waitForNetworkIdle | evaluate | fillForm | submit, selector, value, ... }] (optional)',
+      capture: {
+        mode: 'merge (add captured JSON to data, default) or replace (data only holds captured JSON)',
+        responses: 'Background JSON responses to capture in browser mode: [{ name, url: "substring" | "/regex/", method, all, map: { field: "$.items[*].title" }, wait, timeout, required }]'
+      },
       pagination: {
-        selector: 'CSS selector for next page links',
-        maxPages: 'Maximum number of pages to fetch (default 5)'
+        strategy: 'links (fetch every link matching selector, default), next (follow the next-page link), page or offset (count a query parameter up), scroll (infinite scroll in browser mode)',
+        selector: 'CSS selector for page links (links, next) or for loaded items (scroll, optional)',
+        param: 'Query parameter holding the page number or offset (page, offset)',
+        start: 'First page number (default 1) or offset (default 0)',
+        step: 'Offset increment per page (offset)',
+        delay: 'Milliseconds to wait after each scroll (scroll, default 1000)',
+        maxPages: 'Maximum number of pages to fetch (default 5)',
+        mode: 'merge (combine all pages, default) or cursor (one page per request, next page via ?cursor=)'
+      },
+      cache: {
+        enabled: 'Cache GET responses (default true)',
+        ttl: 'Seconds a response stays fresh (default CACHE_TTL, 300)',
+        staleWhileRevalidate: 'Seconds an expired response is served while refreshing in the background (default 0)',
+        staleIfError: 'Seconds an expired response is served while the circuit breaker is open (default CACHE_STALE_IF_ERROR, 3600)',
+        respectUpstream: 'Let upstream Cache-Control/Expires headers override the lifetimes (default true)',
+        vary: 'Client request headers forwarded upstream and added to the cache key'
+      },
+      query: {
+        forward: 'Forward the client query string upstream (default true)',
+        allow: 'Allow-list of forwarded parameters',
+        rename: 'Map of client parameter names to upstream names',
+        defaults: 'Values used when a parameter is omitted',
+        params: 'Validation rules per parameter: { type, required, min, max, pattern, enum }'
+      },
+      form: 'Submit POSTs through the page form: { page, index | id | name | selector, steps (browser mode) } (optional)',
+      routes: 'Named routes: [{ name, method, path: "products/:id", upstream: "item.php?id={id}", selectors, useBrowser, browserSteps, capture, pagination, cache, query, form }] (optional)',
+      routesOnly: 'Reject paths that match no route (boolean, optional)',
+      monitoring: {
+        enabled: 'Run canary checks on a schedule (default true)',
+        interval: 'Seconds between checks (default 3600, minimum 60)',
+        canaries: 'Paths to check: ["products", { path, query, expect: { field: { type, minCount, required } } }]'
       }
     },
+    storage: {
+      backend: storage.backend,
+      STORAGE_BACKEND: 'file (default) or sqlite',
+      STORAGE_DIR: 'Directory for the storage files (default: project directory)',
+      STORAGE_SQLITE_PATH: 'SQLite database file (default: <STORAGE_DIR>/html-to-api.db)'
+    },
+    webhooks: {
+      signature: 'X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>")',
+      WEBHOOK_SECRET: 'Signing secret for targets without their own secret',
+      WEBHOOK_TIMEOUT: 'Milliseconds to wait for a receiver (default 10000)',
+      WEBHOOK_MAX_ATTEMPTS: 'Attempts before a delivery is marked failed (default 8)',
+      WEBHOOK_RETRY_DELAY: 'Milliseconds before the first retry, doubled for each further retry (default 30000)',
+      WEBHOOK_RETENTION_DAYS: 'Days failed deliveries are kept (default 7)',
+      WEBHOOK_DELIVERED_RETENTION_MINUTES: 'Minutes delivered deliveries are kept (default 60)',
+      WEBHOOK_MAX_OUTBOX: 'Deliveries kept in the outbox; the oldest finished ones are dropped first (default 1000)'
+    },
+    authentication: {
+      header: 'Authorization: Bearer <key> or X-API-Key: <key> (streams also accept ?api_key=)',
+      scopes: 'read:<domain> (GET /api, streams, archives), write:<domain> (POST /api, configuration, sessions, cache, watches, schedules), read:* and write:* for every domain, admin (keys, metrics, saved workflows and global operations)',
+      ADMIN_API_KEY: 'Key with the admin scope; authentication is on once it is set or a key has been created',
+      API_KEY_RATE_LIMIT: 'Default requests per key per 15 minutes (default 100)'
+    },
+    workflows: {
+      templates: '{{steps.<id>.data...}} reads an earlier step result, {{input...}} the workflow input',
+      concurrency: 'Steps running at the same time; steps wait for the steps they reference or list in dependsOn (default 1)',
+      onError: 'continue (default), abort (skip the remaining steps) or retry (retries times, then abort)',
+      WORKFLOW_MAX_STEPS: 'Steps per /batch call or saved workflow (default 10)'
+    },
+    jobs: {
+      JOB_CONCURRENCY: 'Jobs running at the same time (default 2)',
+      JOB_MAX_QUEUE: 'Jobs allowed to wait (default 100)',
+      JOB_MAX_REQUESTS: 'Steps per batch job (default 100)',
+      JOB_RETENTION_HOURS: 'Hours finished jobs are kept (default 24)'
+    },
+    schedules: {
+      cron: 'minute hour day-of-month month day-of-week in UTC, e.g. "*/15 * * * *", "0 9 * * mon-fri", or @hourly, @daily, @weekly, @monthly, @yearly',
+      ARCHIVE_RETENTION_DAYS: 'Days archived results are kept (default 90)',
+      ARCHIVE_MAX_ENTRIES: 'Archived results kept per domain and path (default 1000)'
+    },
+    streams: {
+      STREAM_POLL_INTERVAL: 'Seconds between upstream polls of a stream (default 30)',
+      STREAM_HEARTBEAT: 'Seconds between heartbeats (default 15)',
+      STREAM_MAX_CLIENTS: 'Maximum concurrent stream subscribers (default 1000)'
+    },
+    browserPool: {
+      BROWSER_POOL_SIZE: 'Number of browser processes (default 1)',
+      BROWSER_MAX_CONCURRENCY: 'Pages rendering at the same time (default 4)',
+      BROWSER_MAX_QUEUE: 'Requests allowed to wait for a page (default 100)',
+      BROWSER_QUEUE_TIMEOUT: 'Milliseconds a request waits for a page (default 30000)',
+      BROWSER_RECYCLE_AFTER: 'Pages a browser serves before it is replaced (default 200)'
+    },
     examples: {
       configuration: {
         domain: 'example.com',
@@ -783,8 +5053,64 @@ app.get('/help', (req, res) => {
   });
 });
 
+// API key management
+app.get('/keys', requireScope('admin'), (req, res) => {
+  const keys = Object.values(storage.entries('apiKeys'))
+    .filter(Boolean)
+    .sort((a, b) => b.created.localeCompare(a.created))
+    .map(describeApiKey);
+  res.json({ keys });
+});
+
+// Create a key; the key itself is only returned here
+app.post('/keys', requireScope('admin'), (req, res) => {
+  const { error, value } = apiKeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const hash = hashApiKey(key);
+  const apiKey = {
+    id: hash.slice(0, 16),
+    name: value.name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    hash,
+    scopes: value.scopes,
+    rateLimit: value.rateLimit,
+    expiresAt: value.expiresAt ? value.expiresAt.toISOString() : null,
+    created: new Date().toISOString(),
+    lastUsed: null,
+    revoked: null
+  };
+  storage.set('apiKeys', apiKey.id, apiKey);
+  res.status(201).json({ success: true, key, apiKey: describeApiKey(apiKey) });
+});
+
+app.get('/keys/:id', requireScope('admin'), (req, res) => {
+  const apiKey = storage.get('apiKeys', req.params.id);
+  if (!apiKey) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.json(describeApiKey(apiKey));
+});
+
+// Revoke a key; it is kept so its usage stays attributed in /metrics
+app.delete('/keys/:id', requireScope('admin'), async (req, res) => {
+  if (!storage.get('apiKeys', req.params.id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  try {
+    const apiKey = await storage.update('apiKeys', req.params.id, current => ({ ...current, revoked: current.revoked || new Date().toISOString() }));
+    res.json({ success: true, message: 'API key revoked', apiKey: describeApiKey(apiKey) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+  }
+});
+
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
+app.get('/metrics', requireScope('admin'), (req, res) => {
+  const metrics = getMetrics();
   const avgResponseTime = metrics.responseTimeCount > 0 ? metrics.responseTimeSum / metrics.responseTimeCount : 0;
   const uptime = Date.now() - metrics.startTime;
 
@@ -794,8 +5120,12 @@ app.get('/metrics', (req, res) => {
     errorRate: metrics.totalRequests > 0 ? (metrics.totalErrors / metrics.totalRequests) * 100 : 0,
     averageResponseTime: Math.round(avgResponseTime),
     requestCountByDomain: metrics.requestCountByDomain,
+    requestCountByKey: metrics.requestCountByKey,
     uptime: uptime,
-    uptimeFormatted: `${Math.floor(uptime / 1000 / 60 / 60)}h ${Math.floor((uptime / 1000 / 60) % 60)}m`
+    uptimeFormatted: `${Math.floor(uptime / 1000 / 60 / 60)}h ${Math.floor((uptime / 1000 / 60) % 60)}m`,
+    browserPool: getBrowserPoolStats(),
+    streams: getStreamStats(),
+    jobs: getJobStats()
   });
 });
 
@@ -804,18 +5134,59 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Graceful shutdown handler
-process.on('SIGINT', () => {
-  console.log('Saving sessions before shutdown...');
-  saveSessions();
-  process.exit(0);
-});
+// Graceful shutdown: stop accepting connections and starting work, end the live streams, then wait
+// up to SHUTDOWN_TIMEOUT ms for in-flight requests, running jobs and scheduler passes and browser pages.
+// Connections still open at the deadline are cut and unfinished jobs are marked failed
+// (sessions are saved as they change)
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 30000;
+let shuttingDown = false;
+
+function isBackgroundWorkRunning() {
+  return jobQueue.active > 0 || monitorSchedulerRunning || watchSchedulerRunning || scheduleRunnerActive || webhookWorkerRunning;
+}
+
+// Fail the jobs this process queued or started but could not finish
+async function abandonLocalJobs() {
+  const finished = new Date().toISOString();
+  await Promise.all(Array.from(jobQueue.local).map(id => updateJob(id, job => (
+    ['queued', 'running'].includes(job.status)
+      ? { ...job, status: 'failed', finished, error: { message: 'Job was interrupted (server shut down)', code: 'JOB_INTERRUPTED', statusCode: 500 } }
+      : job
+  )).catch(error => console.error('Job error:', error.message))));
+}
+
+async function shutdown() {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.log('Shutting down...');
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT;
 
-process.on('SIGTERM', () => {
-  console.log('Saving sessions before shutdown...');
-  saveSessions();
+  let serverOpen = true;
+  server.close(() => {
+    serverOpen = false;
+  });
+  closeStreams();
+
+  while ((serverOpen || isBackgroundWorkRunning()) && Date.now() < deadline) {
+    // Keep-alive connections become idle once their last response is sent
+    server.closeIdleConnections();
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  server.closeAllConnections();
+
+  // Requests and jobs are done (or out of time), so only pages they left behind remain
+  await closeBrowserPool(Math.max(deadline - Date.now(), 0));
+  await abandonLocalJobs();
+  if (storage.close) {
+    storage.close();
+  }
   process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 const httpsOptions = {
   key: fs.readFileSync('key.pem'),
@@ -823,6 +5194,7 @@ const httpsOptions = {
 };
 
 const server = https.createServer(httpsOptions, app);
+attachStreamServer(server);
 
 server.listen(PORT, () => {
   console.log(`HTML-to-API Proxy server running on HTTPS port ${PORT}`);